@@ -19,6 +19,7 @@
 const state = {
     // Directory handle for persistence
     dirHandle: null,
+    folderId: null, // Stable ID of the open folder, stored with its handle (keys the media cache)
     
     // All photos loaded from folder
     allPhotos: [],
@@ -28,25 +29,56 @@ const state = {
     
     // Settings
     targetCount: 25,
-    shufflePhotos: false,
+    photoOrder: 'original', // 'original' (filename), 'shuffle', or 'capture' (EXIF capture time)
+    cameraOffsets: {}, // Camera key -> clock correction in seconds, for bodies with an unsynced clock
     
     // Phase 1: Selection grid state
-    currentPage: 0,
-    photosPerPage: 60,
+    gridTileSize: 150, // Minimum tile width in px (zoom slider)
+    gridFirstIndex: 0, // First photo visible at the top of the grid
     selectedIds: new Set(),
+    seenIds: new Set(), // Photos already judged (e.g. lost a best-of-burst duel)
+    keptDuplicatePaths: new Set(), // Copies the user chose to keep over the automatic pick
+    separatedDuplicatePaths: new Set(), // Files the user marked as "not duplicates"
+    mergedDuplicatePaths: new Set(), // Possible resized copies the user confirmed (collapsed like exact copies)
+    resizedCopyGroups: [], // Possible resized copies, listed for review but still shown as separate photos
     viewMode: 'swipe', // 'grid', 'swipe', or 'cluster'
     swipeIndex: 0, // Current photo index in swipe mode
     
     // Clustering state
     clusters: [], // Array of clusters, each is array of photo objects
-    clusterFingerprints: new Map(), // Photo ID -> fingerprint data
+    clusterFingerprints: new Map(), // Photo ID -> fingerprint data (for the current fingerprintMethod)
+    photoSharpness: new Map(), // Photo ID -> { whole, center, brightest } Laplacian variances
+    sharpnessRegion: 'whole', // Which measurement drives the score: 'whole', 'center' or 'brightest'
+    blurThreshold: 40, // Sharpness score (0-100) below which a frame counts as blurry
+    photoExposure: new Map(), // Photo ID -> { histogram, highlights, shadows, brightness }
+    exposureFilter: null, // Grid filter chip: null, 'over' or 'under'
+    cameraFilter: null, // Grid filter chip: a camera model (exif.camera) or null
+    lensFilter: null, // Grid filter chip: a lens model (exif.lens) or null
+    fingerprintMethod: 'grayscale', // 'grayscale' (8x8 RMS), 'dhash' or 'phash' (64-bit hashes, Hamming distance)
+    clusterMode: 'sequential', // 'sequential' (bursts in photo order), 'global' (visually similar anywhere),
+                               // 'time' (capture-time gaps only) or 'time-visual' (time gaps + fingerprints)
+    burstGapSeconds: 2, // Capture-time gap that ends a burst
     clusterThreshold: 15, // Similarity threshold (lower = more similar required)
     expandedClusters: new Set(), // Track which clusters are expanded
     
     // Phase 2: Ranking state
-    comparisonHistory: [], // For undo
-    comparisonsCompleted: 0,
-    currentPair: null,
+    rankingMode: 'rating', // 'rating' (Swiss/Elo matches), 'insertion' (binary-insertion sort into a full order) or 'bracket'
+    insertionOrder: [], // Candidate IDs in the order the insertion sort places them
+    bracketFormat: 'single', // 'single' or 'double' elimination, for the next bracket drawn
+    bracketSeeding: 'rating', // 'rating' (current model) or 'random', for the next bracket drawn
+    bracket: null, // { id, format, seeds } the bracket being played; results come from the history
+    comparisonHistory: [], // Pairwise games, oldest first (a multi-photo match adds several sharing a match ID)
+    redoStack: [], // Undone matches (arrays of history entries), most recent last
+    rankingModel: 'elo', // 'elo', 'glicko' (both sequential updates) or 'bt' (Bradley–Terry refit from the whole history)
+    pairingStrategy: 'swiss', // 'swiss' (uniform coverage) or 'boundary' (focus on the top-N cutoff)
+    groupSize: 2, // Photos per match: 2 (head-to-head), 4 or 6 (pick one or more favorites)
+    autoFinishCertainty: 95, // Offer to finish once every in/out call is this certain (percent, 0 = never)
+    comparisonsCompleted: 0, // Matches, whatever their size
+    currentPair: null, // Photos in the current match
+    borderlineRun: null, // { ids, remaining, start } while running extra comparisons on borderline photos only
+    reaskRun: null, // { queue, done } history entries being asked again from the consistency report
+    currentProbe: null, // { type, expected } when the current pair is a hidden consistency check
+    currentBracketMatch: false, // True when the current pair is a bracket match
     currentSelection: new Set(),
     
     // Current phase for restoration
@@ -54,10 +86,17 @@ const state = {
     
     // Final selection
     finalSelection: [],
+    resultsView: 'top', // 'top' (the top N) or 'odds' (every candidate's in/out probability)
     
     // Photo cache - thumbnails (small, fast) and full-size (on-demand)
     thumbnailCache: new Map(),
-    fullSizeCache: new Map()
+    fullSizeCache: new Map(), // Photo ID -> { url, bytes }, in least-recently-used order
+    rawPreviewCache: new Map(), // RAW photo ID -> { blob, orientation } of its embedded JPEG preview
+    photoRotations: new Map(), // Photo ID -> manual clockwise rotation in degrees (0, 90, 180, 270)
+    
+    // Photo info (EXIF) overlay visibility in swipe view and photo viewer
+    showPhotoInfo: false,
+    showHistogram: false
 };
 
 // Cache file name
@@ -65,10 +104,63 @@ const CACHE_FILENAME = '.ashot-picker-cache.json';
 const DB_NAME = 'AshotPickerDB';
 const DB_STORE = 'folderHandles';
 
+// Persistent thumbnail/fingerprint cache (separate database so folder handles are never touched by its upgrades)
+const MEDIA_CACHE_DB_NAME = 'AshotPickerMediaCache';
+const MEDIA_CACHE_STORE = 'media';
+const MEDIA_CACHE_MAX_BYTES = 512 * 1024 * 1024;
+const MEDIA_CACHE_MAX_ENTRIES = 50000;
+const MEDIA_CACHE_PRUNE_INTERVAL = 60 * 1000; // Pruning walks the whole store, so at most once a minute
+
 // Elo rating constants
 const ELO_K = 32; // How much ratings change per comparison
 const ELO_DEFAULT = 1500; // Starting rating
 
+// Ranking models the ranking and results screens can switch between
+const RANKING_MODEL_LABELS = {
+    elo: 'Elo',
+    glicko: 'Glicko-2',
+    bt: 'Bradley–Terry'
+};
+
+// How the next pair of photos is chosen
+const PAIRING_STRATEGY_LABELS = {
+    swiss: 'Swiss',
+    boundary: 'Top-N boundary'
+};
+
+const GROUP_SIZES = [2, 4, 6];
+
+// Ways to run the ranking phase
+const RANKING_MODE_LABELS = {
+    rating: 'Rating matches',
+    insertion: 'Full sort',
+    bracket: 'Bracket'
+};
+
+const BRACKET_FORMAT_LABELS = {
+    single: 'Single elimination',
+    double: 'Double elimination'
+};
+
+const BRACKET_SEEDING_LABELS = {
+    rating: 'By rating',
+    random: 'Random'
+};
+
+// Which side of a double-elimination bracket a match is on
+const BRACKET_SIDE_LABELS = {
+    winners: 'Winners',
+    losers: 'Losers',
+    final: 'Final'
+};
+
+const BORDERLINE_RUN_LENGTH = 20; // Comparisons per "more on the borderline" run
+
+// Hidden consistency checks
+const CONSISTENCY_PROBE_RATE = 0.1; // Share of matches replaced by a check...
+const CONSISTENCY_MIN_MATCHES = 10; // ...once there is this much history to check against
+const CONTRADICTION_PROBABILITY = 0.15; // Flag results the model gives less than this chance
+
 // ============================================
 // DOM Elements
 // ============================================
@@ -85,6 +177,9 @@ const elements = {
     startNewProjectBtn: document.getElementById('start-new-project-btn'),
     targetCountInput: document.getElementById('target-count'),
     shufflePhotosSelect: document.getElementById('shuffle-photos'),
+    mediaCacheInfo: document.getElementById('media-cache-info'),
+    mediaCacheSize: document.getElementById('media-cache-size'),
+    clearMediaCacheBtn: document.getElementById('clear-media-cache-btn'),
     
     // New Project Modal
     newProjectModal: document.getElementById('new-project-modal'),
@@ -107,10 +202,14 @@ const elements = {
     selectionGrid: document.getElementById('selection-grid'),
     selectionProgress: document.getElementById('selection-progress'),
     selectionCount: document.getElementById('selection-count'),
-    selectionPrev: document.getElementById('selection-prev'),
-    selectionNext: document.getElementById('selection-next'),
-    currentPage: document.getElementById('current-page'),
-    totalPages: document.getElementById('total-pages'),
+    selectionGridSizer: document.getElementById('selection-grid-sizer'),
+    selectionGridWindow: document.getElementById('selection-grid-window'),
+    gridZoomSlider: document.getElementById('grid-zoom'),
+    gridPosition: document.getElementById('grid-position'),
+    gridJumpInput: document.getElementById('grid-jump-input'),
+    gridJumpBtn: document.getElementById('grid-jump-btn'),
+    exposureFilterChips: document.getElementById('exposure-filter-chips'),
+    exifFilterChips: document.getElementById('exif-filter-chips'),
     viewSelectedBtn: document.getElementById('view-selected-btn'),
     proceedToRanking: document.getElementById('proceed-to-ranking'),
     gridViewBtn: document.getElementById('grid-view-btn'),
@@ -123,6 +222,11 @@ const elements = {
     swipeControls: document.getElementById('swipe-controls'),
     clusterView: document.getElementById('cluster-view'),
     clusterThresholdSlider: document.getElementById('cluster-threshold'),
+    fingerprintMethodSelect: document.getElementById('fingerprint-method'),
+    clusterModeSelect: document.getElementById('cluster-mode'),
+    clusterVisualControls: document.getElementById('cluster-visual-controls'),
+    burstGapControl: document.getElementById('burst-gap-control'),
+    burstGapInput: document.getElementById('burst-gap'),
     clusterCountDisplay: document.getElementById('cluster-count'),
     
     // Swipe view
@@ -130,7 +234,13 @@ const elements = {
     swipeImage: document.getElementById('swipe-image'),
     swipeBadge: document.getElementById('swipe-badge'),
     swipeFilename: document.getElementById('swipe-filename'),
+    swipeSharpness: document.getElementById('swipe-sharpness'),
     swipeCounter: document.getElementById('swipe-counter'),
+    swipeInfoBtn: document.getElementById('swipe-info-btn'),
+    swipeHistogramBtn: document.getElementById('swipe-histogram-btn'),
+    swipeHistogramPanel: document.getElementById('swipe-histogram-panel'),
+    swipeRotateBtn: document.getElementById('swipe-rotate-btn'),
+    swipeInfoPanel: document.getElementById('swipe-info-panel'),
     swipePrev: document.getElementById('swipe-prev'),
     swipeNext: document.getElementById('swipe-next'),
     swipeSelectBtn: document.getElementById('swipe-select-btn'),
@@ -147,22 +257,49 @@ const elements = {
     reviewCount: document.getElementById('review-count'),
     backToSelection: document.getElementById('back-to-selection'),
     startRanking: document.getElementById('start-ranking'),
+    reviewRankingModeSelect: document.getElementById('review-ranking-mode-select'),
     
     // Ranking (Phase 2)
     rankingArena: document.getElementById('ranking-arena'),
     comparisonProgress: document.getElementById('comparison-progress'),
     rankingPool: document.getElementById('ranking-pool'),
+    rankingModeSelect: document.getElementById('ranking-mode-select'),
+    bracketFormatSelect: document.getElementById('bracket-format-select'),
+    bracketSeedingSelect: document.getElementById('bracket-seeding-select'),
+    bracketBtn: document.getElementById('bracket-btn'),
+    rankingModelSelect: document.getElementById('ranking-model-select'),
+    pairingStrategySelect: document.getElementById('pairing-strategy-select'),
+    groupSizeSelect: document.getElementById('group-size-select'),
+    pairingSimBtn: document.getElementById('pairing-sim-btn'),
     targetDisplay: document.getElementById('target-display'),
     confidenceFill: document.getElementById('confidence-fill'),
     confidencePercent: document.getElementById('confidence-percent'),
+    autoFinishSelect: document.getElementById('auto-finish-select'),
     skipComparison: document.getElementById('skip-comparison'),
     undoComparison: document.getElementById('undo-comparison'),
+    redoComparison: document.getElementById('redo-comparison'),
+    historyBtn: document.getElementById('history-btn'),
     confirmRanking: document.getElementById('confirm-ranking'),
     finishRanking: document.getElementById('finish-ranking'),
     
     // Results
     finalCount: document.getElementById('final-count'),
+    resultsModelSelect: document.getElementById('results-model-select'),
+    resultsTopBtn: document.getElementById('results-top-btn'),
+    resultsOddsBtn: document.getElementById('results-odds-btn'),
     resultsGrid: document.getElementById('results-grid'),
+    resultsOdds: document.getElementById('results-odds'),
+    runBorderlineBtn: document.getElementById('run-borderline-btn'),
+    consistencyBtn: document.getElementById('consistency-btn'),
+    resultsHistoryBtn: document.getElementById('results-history-btn'),
+    resultsBracketBtn: document.getElementById('results-bracket-btn'),
+    
+    // Bracket screen
+    bracketStatus: document.getElementById('bracket-status'),
+    bracketBack: document.getElementById('bracket-back'),
+    bracketRedraw: document.getElementById('bracket-redraw'),
+    bracketPlay: document.getElementById('bracket-play'),
+    bracketView: document.getElementById('bracket-view'),
     copyFilenames: document.getElementById('copy-filenames'),
     downloadList: document.getElementById('download-list'),
     continueRanking: document.getElementById('continue-ranking'),
@@ -171,10 +308,56 @@ const elements = {
     photoViewer: document.getElementById('photo-viewer'),
     viewerImage: document.getElementById('viewer-image'),
     viewerFilename: document.getElementById('viewer-filename'),
+    viewerInfoBtn: document.getElementById('viewer-info-btn'),
+    viewerHistogramBtn: document.getElementById('viewer-histogram-btn'),
+    viewerHistogramPanel: document.getElementById('viewer-histogram-panel'),
+    viewerRotateBtn: document.getElementById('viewer-rotate-btn'),
+    viewerInfoPanel: document.getElementById('viewer-info-panel'),
     closeViewer: document.querySelector('.close-viewer'),
     
+    // Debug
+    debugPanel: document.getElementById('debug-panel'),
+    
+    // Best of burst
+    burstDuelModal: document.getElementById('burst-duel-modal'),
+    burstDuelSides: [...document.querySelectorAll('#burst-duel-modal .burst-duel-side')],
+    burstDuelProgress: document.getElementById('burst-duel-progress'),
+    burstDuelKeepers: document.getElementById('burst-duel-keepers'),
+    burstDuelZoomLevel: document.getElementById('burst-duel-zoom-level'),
+    burstDuelUndo: document.getElementById('burst-duel-undo'),
+    burstDuelKeepBoth: document.getElementById('burst-duel-keep-both'),
+    burstDuelFinish: document.getElementById('burst-duel-finish'),
+    burstDuelClose: document.getElementById('burst-duel-close'),
+    
     // Import modal
     importSelectionBtn: document.getElementById('import-selection-btn'),
+    
+    // Duplicates modal
+    duplicatesBtn: document.getElementById('duplicates-btn'),
+    duplicatesModal: document.getElementById('duplicates-modal'),
+    duplicatesClose: document.getElementById('duplicates-close'),
+    duplicatesSummary: document.getElementById('duplicates-summary'),
+    duplicateGroupsList: document.getElementById('duplicate-groups-list'),
+    scanDuplicatesBtn: document.getElementById('scan-duplicates-btn'),
+    
+    // Sharpness modal
+    sharpnessBtn: document.getElementById('sharpness-btn'),
+    sharpnessModal: document.getElementById('sharpness-modal'),
+    sharpnessClose: document.getElementById('sharpness-close'),
+    sharpnessRegionOptions: document.getElementById('sharpness-region-options'),
+    blurThresholdSlider: document.getElementById('blur-threshold'),
+    blurThresholdValue: document.getElementById('blur-threshold-value'),
+    sharpnessSummary: document.getElementById('sharpness-summary'),
+    deselectBlurryBtn: document.getElementById('deselect-blurry-btn'),
+    pickSharpestBtn: document.getElementById('pick-sharpest-btn'),
+    
+    // Photo order modal (capture time + camera clock offsets)
+    photoOrderBtn: document.getElementById('photo-order-btn'),
+    photoOrderModal: document.getElementById('photo-order-modal'),
+    photoOrderClose: document.getElementById('photo-order-close'),
+    photoOrderOptions: document.getElementById('photo-order-options'),
+    cameraOffsetsList: document.getElementById('camera-offsets-list'),
+    photoOrderApply: document.getElementById('photo-order-apply'),
     importModal: document.getElementById('import-modal'),
     importModalClose: document.getElementById('import-modal-close'),
     importTextarea: document.getElementById('import-textarea'),
@@ -184,6 +367,29 @@ const elements = {
     importFileBtn: document.getElementById('import-file-btn'),
     importFileName: document.getElementById('import-file-name'),
     
+    // Pairing simulation modal
+    pairingSimModal: document.getElementById('pairing-sim-modal'),
+    pairingSimClose: document.getElementById('pairing-sim-close'),
+    simPoolSize: document.getElementById('sim-pool-size'),
+    simTargetCount: document.getElementById('sim-target-count'),
+    simTrials: document.getElementById('sim-trials'),
+    pairingSimStatus: document.getElementById('pairing-sim-status'),
+    pairingSimResults: document.getElementById('pairing-sim-results'),
+    pairingSimRun: document.getElementById('pairing-sim-run'),
+    
+    // Comparison history modal
+    historyModal: document.getElementById('history-modal'),
+    historyClose: document.getElementById('history-close'),
+    historySummary: document.getElementById('history-summary'),
+    historyList: document.getElementById('history-list'),
+    
+    // Consistency modal
+    consistencyModal: document.getElementById('consistency-modal'),
+    consistencyClose: document.getElementById('consistency-close'),
+    consistencySummary: document.getElementById('consistency-summary'),
+    contradictionsList: document.getElementById('contradictions-list'),
+    reaskAllBtn: document.getElementById('reask-all-btn'),
+    
     // Top ranked preview modal
     previewTopBtn: document.getElementById('preview-top-btn'),
     topRankedModal: document.getElementById('top-ranked-modal'),
@@ -194,7 +400,12 @@ const elements = {
     rankingImportBtn: document.getElementById('ranking-import-btn'),
     addMoreCandidatesBtn: document.getElementById('add-more-candidates-btn'),
     exportCandidatesBtn: document.getElementById('export-candidates-btn'),
-    exportAshotsBtn: document.getElementById('export-ashots-btn')
+    exportAshotsBtn: document.getElementById('export-ashots-btn'),
+    
+    // Export format modal (RAW+JPEG pairs)
+    exportFormatModal: document.getElementById('export-format-modal'),
+    exportFormatClose: document.getElementById('export-format-close'),
+    exportFormatOptions: document.getElementById('export-format-options')
 };
 
 // ============================================
@@ -206,6 +417,15 @@ function showScreen(screenId) {
     document.getElementById(screenId).classList.add('active');
 }
 
+// Escape text (e.g. EXIF strings written by camera firmware) before putting it in innerHTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 function shuffleArray(array) {
     const arr = [...array];
     for (let i = arr.length - 1; i > 0; i--) {
@@ -215,6 +435,34 @@ function shuffleArray(array) {
     return arr;
 }
 
+// Standard normal sample (Box–Muller)
+function randomNormal() {
+    const u = 1 - Math.random(); // (0, 1], so the log is finite
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+}
+
+// Standard normal CDF via the Abramowitz & Stegun erf approximation (error < 1.5e-7)
+function normalCdf(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+        t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+// Display name for a photo, noting any linked RAW/JPEG siblings (e.g. "DSC_1234.JPG + NEF")
+function getPhotoDisplayName(photo) {
+    if (!photo.siblings?.length) return photo.name;
+    const extensions = photo.siblings.map(s => s.name.slice(s.name.lastIndexOf('.') + 1).toUpperCase());
+    return `${photo.name} + ${extensions.join(' + ')}`;
+}
+
 function isImageFile(filename) {
     const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.tiff', '.tif', '.heic', '.heif', '.raw', '.cr2', '.nef', '.arw'];
     const lower = filename.toLowerCase();
@@ -243,6 +491,26 @@ async function openDatabase() {
     });
 }
 
+// Folder names aren't unique (two "Wedding" folders on different drives), so the media cache
+// knows a folder by an ID stored with its handle. Another folder with the same name gets a new one.
+async function getFolderId(dirHandle) {
+    try {
+        const db = await openDatabase();
+        const tx = db.transaction(DB_STORE, 'readonly');
+        const existing = await new Promise((resolve) => {
+            const req = tx.objectStore(DB_STORE).get(dirHandle.name);
+            req.onsuccess = () => resolve(req.result || null);
+            req.onerror = () => resolve(null);
+        });
+        if (existing?.folderId && await existing.handle.isSameEntry(dirHandle)) {
+            return existing.folderId;
+        }
+    } catch (err) {
+        console.warn('Failed to look up folder ID:', err);
+    }
+    return crypto.randomUUID();
+}
+
 async function saveFolderHandle(dirHandle, metadata = {}) {
     try {
         const db = await openDatabase();
@@ -258,6 +526,7 @@ async function saveFolderHandle(dirHandle, metadata = {}) {
         
         await store.put({
             folderName: dirHandle.name,
+            folderId: state.folderId ?? existing.folderId,
             handle: dirHandle,
             lastAccess: Date.now(),
             // Preserve existing metadata but allow updates
@@ -326,6 +595,25 @@ async function clearFolderHandle(folderName) {
 // Persistence - Cache file in photo folder
 // ============================================
 
+// History fields holding photo IDs (winner is null for a tie, expected for a tied check)
+const HISTORY_PHOTO_FIELDS = ['a', 'b', 'winner', 'expected'];
+
+// Photo IDs are regenerated on reload, so the history is saved with paths instead.
+// mapPhoto turns one into the other; entries with a photo it can't map are dropped.
+function mapHistoryPhotos(history, mapPhoto) {
+    const mapped = [];
+    for (const entry of history) {
+        const copy = { ...entry };
+        const resolved = HISTORY_PHOTO_FIELDS.every(field => {
+            if (entry[field] == null) return true;
+            copy[field] = mapPhoto(entry[field]);
+            return copy[field] != null;
+        });
+        if (resolved) mapped.push(copy);
+    }
+    return mapped;
+}
+
 function getSessionData() {
     // Convert selectedIds to photo names for persistence (IDs are regenerated on reload)
     const selectedNames = [];
@@ -333,21 +621,40 @@ function getSessionData() {
         const photo = state.allPhotos.find(p => p.id === id);
         if (photo) selectedNames.push(photo.name);
     }
+    const pathById = new Map(state.allPhotos.map(p => [p.id, p.path]));
     
     return {
         version: 1,
         timestamp: Date.now(),
         targetCount: state.targetCount,
         currentPhase: state.currentPhase,
+        photoOrder: state.photoOrder,
+        rankingMode: state.rankingMode,
+        insertionOrder: state.insertionOrder.map(id => pathById.get(id)).filter(Boolean),
+        bracketFormat: state.bracketFormat,
+        bracketSeeding: state.bracketSeeding,
+        bracket: state.bracket && { ...state.bracket, seeds: state.bracket.seeds.map(id => pathById.get(id)) },
+        rankingModel: state.rankingModel,
+        pairingStrategy: state.pairingStrategy,
+        groupSize: state.groupSize,
+        autoFinishCertainty: state.autoFinishCertainty,
+        cameraOffsets: state.cameraOffsets,
+        rotations: getRotationsByPath(),
+        fingerprintMethod: state.fingerprintMethod,
         swipeIndex: state.swipeIndex,
         selectedIds: selectedNames,
+        seenPaths: state.allPhotos.filter(p => state.seenIds.has(p.id)).map(p => p.path),
+        keptDuplicatePaths: [...state.keptDuplicatePaths],
+        separatedDuplicatePaths: [...state.separatedDuplicatePaths],
+        mergedDuplicatePaths: [...state.mergedDuplicatePaths],
         candidates: state.candidates.map(p => ({
             name: p.name,
             path: p.path,
             elo: p.elo,
+            glicko: p.glicko,
             comparisons: p.comparisons
         })),
-        comparisonHistory: state.comparisonHistory,
+        comparisonHistory: mapHistoryPhotos(state.comparisonHistory, id => pathById.get(id)),
         comparisonsCompleted: state.comparisonsCompleted,
         finalSelection: state.finalSelection.map(p => p.name)
     };
@@ -413,6 +720,261 @@ function scheduleSave() {
     }, 2000);
 }
 
+// ============================================
+// Persistence - Thumbnail & Fingerprint Cache (IndexedDB)
+// ============================================
+
+// Thumbnails, fingerprints and EXIF survive reloads so resuming a folder doesn't
+// re-read and re-decode thousands of images. Entries are keyed by folder ID + path + size +
+// lastModified (+ rotation), so an edited or replaced file simply misses.
+
+// This version of the photo's file, whatever its rotation
+function getMediaFileKey(photo) {
+    return `${state.folderId}/${photo.path}|${photo.fileSize}|${photo.lastModified}`;
+}
+
+function getMediaCacheKey(photo) {
+    if (!state.folderId || photo.fileSize === undefined) return null;
+    const rotation = state.photoRotations.get(photo.id) || 0;
+    return `${getMediaFileKey(photo)}|${rotation}`;
+}
+
+async function openMediaCacheDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(MEDIA_CACHE_DB_NAME, 1);
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+        request.onupgradeneeded = (event) => {
+            const db = event.target.result;
+            const store = db.createObjectStore(MEDIA_CACHE_STORE, { keyPath: 'key' });
+            store.createIndex('folder', 'folder', { unique: false });
+            store.createIndex('lastAccess', 'lastAccess', { unique: false });
+        };
+    });
+}
+
+// EXIF read on earlier visits to the current folder, by file key (getMediaFileKey). It
+// doesn't depend on the rotation, so records of every rotation count.
+async function getCachedExif() {
+    const exifByFile = new Map();
+    if (!state.folderId) return exifByFile;
+    
+    try {
+        const db = await openMediaCacheDatabase();
+        const tx = db.transaction(MEDIA_CACHE_STORE, 'readonly');
+        const records = await new Promise((resolve, reject) => {
+            const req = tx.objectStore(MEDIA_CACHE_STORE).index('folder').getAll(IDBKeyRange.only(state.folderId));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        for (const record of records) {
+            if (record.exif !== undefined) exifByFile.set(record.key.slice(0, record.key.lastIndexOf('|')), record.exif);
+        }
+    } catch (err) {
+        console.warn('Failed to read cached EXIF:', err);
+    }
+    return exifByFile;
+}
+
+// Load every cached thumbnail and fingerprint for the current folder into memory.
+// Duplicate detection runs before rotations are restored and only takes the file hashes.
+async function restoreMediaCache(photos, { hashesOnly = false } = {}) {
+    if (!state.folderId) return;
+    
+    try {
+        const db = await openMediaCacheDatabase();
+        const tx = db.transaction(MEDIA_CACHE_STORE, 'readwrite');
+        const store = tx.objectStore(MEDIA_CACHE_STORE);
+        
+        const records = await new Promise((resolve, reject) => {
+            const req = store.index('folder').getAll(IDBKeyRange.only(state.folderId));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        const recordByKey = new Map(records.map(r => [r.key, r]));
+        
+        const now = Date.now();
+        let hits = 0;
+        for (const photo of photos) {
+            const record = recordByKey.get(getMediaCacheKey(photo));
+            if (!record) continue;
+            
+            if (record.contentHash && !photo.contentHash) {
+                photo.contentHash = record.contentHash;
+            }
+            if (record['fingerprint:phash'] && !photo.perceptualHash) {
+                photo.perceptualHash = record['fingerprint:phash'];
+            }
+            if (record.pixelSize && !photo.pixelSize) {
+                photo.pixelSize = record.pixelSize;
+            }
+            
+            if (hashesOnly) {
+                hits++;
+                continue;
+            }
+            
+            if (record.thumbnail && !state.thumbnailCache.has(photo.id)) {
+                state.thumbnailCache.set(photo.id, URL.createObjectURL(record.thumbnail));
+            }
+            const fingerprint = record[`fingerprint:${state.fingerprintMethod}`];
+            if (fingerprint && !state.clusterFingerprints.has(photo.id)) {
+                state.clusterFingerprints.set(photo.id, fingerprint);
+            }
+            if (record.sharpness && !state.photoSharpness.has(photo.id)) {
+                state.photoSharpness.set(photo.id, record.sharpness);
+            }
+            if (record.exposure && !state.photoExposure.has(photo.id)) {
+                state.photoExposure.set(photo.id, record.exposure);
+            }
+            
+            // Mark as recently used so pruning keeps it
+            record.lastAccess = now;
+            store.put(record);
+            hits++;
+        }
+        
+        console.log(`🗄️ Restored cached thumbnails/fingerprints for ${hits} / ${photos.length} photos`);
+    } catch (err) {
+        console.warn('Failed to restore media cache:', err);
+    }
+}
+
+// Writes are batched: fingerprinting a big folder would otherwise open thousands of transactions
+const pendingMediaCacheWrites = new Map(); // Cache key -> fields to merge
+let mediaCacheFlushTimeout = null;
+let lastMediaCachePrune = 0;
+
+function storeInMediaCache(photo, fields) {
+    const key = getMediaCacheKey(photo);
+    if (!key) return;
+    
+    pendingMediaCacheWrites.set(key, {
+        ...pendingMediaCacheWrites.get(key),
+        ...fields,
+        folder: state.folderId
+    });
+    
+    if (!mediaCacheFlushTimeout) {
+        mediaCacheFlushTimeout = setTimeout(flushMediaCacheWrites, 1000);
+    }
+}
+
+async function flushMediaCacheWrites() {
+    mediaCacheFlushTimeout = null;
+    const writes = [...pendingMediaCacheWrites];
+    pendingMediaCacheWrites.clear();
+    if (writes.length === 0) return;
+    
+    try {
+        const db = await openMediaCacheDatabase();
+        const tx = db.transaction(MEDIA_CACHE_STORE, 'readwrite');
+        const store = tx.objectStore(MEDIA_CACHE_STORE);
+        const now = Date.now();
+        
+        for (const [key, fields] of writes) {
+            const req = store.get(key);
+            req.onsuccess = () => {
+                const record = { ...req.result, ...fields, key, lastAccess: now };
+                record.bytes = record.thumbnail?.size || 0;
+                for (const field of Object.keys(record)) {
+                    if (field.startsWith('fingerprint:')) record.bytes += record[field].length;
+                }
+                store.put(record);
+            };
+        }
+        
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+        if (now - lastMediaCachePrune >= MEDIA_CACHE_PRUNE_INTERVAL) {
+            lastMediaCachePrune = now;
+            await pruneMediaCache(db);
+        }
+    } catch (err) {
+        console.warn('Failed to write media cache:', err);
+    }
+}
+
+// Evict least recently used entries until the cache is within its size limits
+async function pruneMediaCache(db) {
+    let { count, bytes } = await getMediaCacheUsage(db);
+    if (count <= MEDIA_CACHE_MAX_ENTRIES && bytes <= MEDIA_CACHE_MAX_BYTES) return;
+    
+    const tx = db.transaction(MEDIA_CACHE_STORE, 'readwrite');
+    const store = tx.objectStore(MEDIA_CACHE_STORE);
+    
+    await new Promise((resolve, reject) => {
+        const request = store.index('lastAccess').openCursor(); // Oldest first
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor || (count <= MEDIA_CACHE_MAX_ENTRIES && bytes <= MEDIA_CACHE_MAX_BYTES)) {
+                resolve();
+                return;
+            }
+            count--;
+            bytes -= cursor.value.bytes || 0;
+            cursor.delete();
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+    
+    console.log(`🗄️ Media cache pruned to ${count} entries (${formatBytes(bytes)})`);
+}
+
+// Total entries and bytes in the cache
+async function getMediaCacheUsage(db = null) {
+    db = db || await openMediaCacheDatabase();
+    const tx = db.transaction(MEDIA_CACHE_STORE, 'readonly');
+    const store = tx.objectStore(MEDIA_CACHE_STORE);
+    
+    return new Promise((resolve, reject) => {
+        let count = 0;
+        let bytes = 0;
+        const request = store.openCursor();
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                count++;
+                bytes += cursor.value.bytes || 0;
+                cursor.continue();
+            } else {
+                resolve({ count, bytes });
+            }
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function clearMediaCache() {
+    pendingMediaCacheWrites.clear();
+    try {
+        const db = await openMediaCacheDatabase();
+        const tx = db.transaction(MEDIA_CACHE_STORE, 'readwrite');
+        await tx.objectStore(MEDIA_CACHE_STORE).clear();
+        console.log('🗑️ Thumbnail & fingerprint cache cleared');
+    } catch (err) {
+        console.warn('Failed to clear media cache:', err);
+    }
+}
+
+// Cache usage line + "Clear cache" control on the landing page
+async function renderMediaCacheInfo() {
+    try {
+        const { count, bytes } = await getMediaCacheUsage();
+        if (count === 0) {
+            elements.mediaCacheInfo.classList.add('hidden');
+            return;
+        }
+        elements.mediaCacheSize.textContent = `${count.toLocaleString()} photos · ${formatBytes(bytes)}`;
+        elements.mediaCacheInfo.classList.remove('hidden');
+    } catch (err) {
+        elements.mediaCacheInfo.classList.add('hidden');
+    }
+}
+
 // ============================================
 // Elo Rating System
 // ============================================
@@ -421,46 +983,159 @@ function expectedScore(ratingA, ratingB) {
     return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
 }
 
-function updateEloRatings(winner, loser) {
-    const expectedWin = expectedScore(winner.elo, loser.elo);
-    const expectedLose = expectedScore(loser.elo, winner.elo);
+// A match of 2, 4 or 6 photos decomposes into pairwise games: every favorite beats every
+// photo that wasn't picked. Picking none (skip) or all of them means "all equal", a tie
+// between every pair. Returns [{ a, b, scoreA }] with scoreA 1, 0.5 or 0.
+function getMatchOutcomes(photos, winnerIds) {
+    const winners = photos.filter(p => winnerIds.has(p.id));
+    const losers = photos.filter(p => !winnerIds.has(p.id));
     
-    winner.elo += ELO_K * (1 - expectedWin);
-    loser.elo += ELO_K * (0 - expectedLose);
+    if (winners.length === 0 || losers.length === 0) {
+        return photos.flatMap((a, i) => photos.slice(i + 1).map(b => ({ a, b, scoreA: 0.5 })));
+    }
+    return winners.flatMap(a => losers.map(b => ({ a, b, scoreA: 1 })));
+}
+
+// Each pairwise game of an N-photo match counts 1 / (N - 1), so a photo that beats (or
+// ties) everyone else moves about as far as after one head-to-head
+function getMatchWeight(size) {
+    return 1 / (size - 1);
+}
+
+// All changes come from the ratings before the match, so the order of its games doesn't matter
+function updateEloMatch(photos, outcomes, weight = getMatchWeight(photos.length)) {
+    const changes = new Map(photos.map(p => [p.id, 0]));
+    
+    for (const { a, b, scoreA } of outcomes) {
+        const change = ELO_K * weight * (scoreA - expectedScore(a.elo, b.elo));
+        changes.set(a.id, changes.get(a.id) + change);
+        changes.set(b.id, changes.get(b.id) - change);
+    }
     
-    // Track comparison count for confidence
-    winner.comparisons = (winner.comparisons || 0) + 1;
-    loser.comparisons = (loser.comparisons || 0) + 1;
+    for (const photo of photos) {
+        photo.elo += changes.get(photo.id);
+        // Track comparison count for confidence
+        photo.comparisons = (photo.comparisons || 0) + 1;
+    }
+}
+
+function updateMatchRatings(photos, outcomes, weight = getMatchWeight(photos.length)) {
+    updateGlickoMatch(photos, outcomes, weight);
+    updateEloMatch(photos, outcomes, weight);
 }
 
-function updateEloTie(photoA, photoB) {
-    const expectedA = expectedScore(photoA.elo, photoB.elo);
-    const expectedB = expectedScore(photoB.elo, photoA.elo);
+// Apply one logged match to the current ratings, refreshing its entries' "before" values
+// so undo still works after a replay or redo
+function applyHistoryMatch(entries, byId) {
+    const photos = new Set();
+    const outcomes = [];
+    for (const entry of entries) {
+        const photoA = byId.get(entry.a);
+        const photoB = byId.get(entry.b);
+        if (!photoA || !photoB || entry.reasked) continue;
+        
+        entry.prevEloA = photoA.elo;
+        entry.prevEloB = photoB.elo;
+        entry.prevGlickoA = { ...photoA.glicko };
+        entry.prevGlickoB = { ...photoB.glicko };
+        entry.prevCompA = photoA.comparisons;
+        entry.prevCompB = photoB.comparisons;
+        outcomes.push({ a: photoA, b: photoB, scoreA: getEntryScore(entry) });
+        photos.add(photoA).add(photoB);
+    }
     
-    // Tie = 0.5 points each
-    photoA.elo += ELO_K * (0.5 - expectedA);
-    photoB.elo += ELO_K * (0.5 - expectedB);
+    if (outcomes.length > 0) updateMatchRatings([...photos], outcomes, entries[0].weight ?? 1);
+}
+
+// Rebuild every candidate's Elo and Glicko-2 rating by replaying the whole history, after
+// an edit in the middle of it or a re-asked answer (or for sessions saved before Glicko-2
+// ratings existed). Answers that were asked again are left out.
+function replayRatings() {
+    const byId = new Map(state.candidates.map(p => [p.id, p]));
+    for (const photo of state.candidates) {
+        photo.elo = ELO_DEFAULT;
+        photo.glicko = createGlickoRating();
+        photo.comparisons = 0;
+    }
     
-    photoA.comparisons = (photoA.comparisons || 0) + 1;
-    photoB.comparisons = (photoB.comparisons || 0) + 1;
+    const matches = groupHistoryIntoMatches(state.comparisonHistory);
+    for (const entries of matches) {
+        applyHistoryMatch(entries, byId);
+    }
+    state.comparisonsCompleted = matches.length;
 }
 
-// Swiss-system: pair photos with similar ratings, ensuring uniform coverage
+// 1 if A won, 0.5 for a tie, 0 if B won
+function getEntryScore(entry) {
+    return entry.winner == null ? 0.5 : entry.winner === entry.a ? 1 : 0;
+}
+
+// History entries are pairwise games; the games of one multi-photo match share a match ID.
+// Returns the history as an array of matches (arrays of entries), oldest first.
+function groupHistoryIntoMatches(history) {
+    const matches = [];
+    for (const entry of history) {
+        const last = matches[matches.length - 1];
+        if (entry.match != null && last?.[0].match === entry.match) {
+            last.push(entry);
+        } else {
+            matches.push([entry]);
+        }
+    }
+    return matches;
+}
+
+// Photos within this many rating points of the largest deviation count as "least certain"
+const PAIRING_DEVIATION_BAND = 40;
+
 function getNextPair() {
     if (state.candidates.length < 2) return null;
     
-    // Prioritize photos with fewer comparisons for uniform coverage
-    const sortedByComparisons = [...state.candidates].sort((a, b) => {
-        // First priority: fewer comparisons
-        const compDiff = (a.comparisons || 0) - (b.comparisons || 0);
-        if (compDiff !== 0) return compDiff;
-        // Second priority: similar Elo rating
-        return b.elo - a.elo;
+    // A borderline run only pairs the photos it was started for, by how much a game settles them
+    if (state.borderlineRun) {
+        return getBoundaryPair(state.candidates.filter(p => state.borderlineRun.ids.has(p.id)));
+    }
+    return state.pairingStrategy === 'boundary' ? getBoundaryPair() : getSwissPair();
+}
+
+// The pairing strategy picks the two photos a match is about; larger matches are filled
+// up with photos close to them in rating whose own ratings are still uncertain
+function getNextMatch() {
+    const pair = getNextPair();
+    const size = Math.min(state.groupSize, state.candidates.length);
+    if (!pair || size <= 2) return pair;
+    
+    const center = (getRating(pair[0]) + getRating(pair[1])) / 2;
+    const others = state.candidates
+        .filter(p => p !== pair[0] && p !== pair[1] && (!state.borderlineRun || state.borderlineRun.ids.has(p.id)))
+        .map(photo => {
+            const deviation = getRatingDeviation(photo);
+            const closeness = deviation / (deviation + Math.abs(getRating(photo) - center));
+            // A little jitter so the same neighbours don't fill every match
+            return { photo, score: closeness * (0.85 + Math.random() * 0.3) };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, size - 2)
+        .map(o => o.photo);
+    
+    return shuffleArray([...pair, ...others]);
+}
+
+// Swiss-system: pair photos with similar ratings, ensuring uniform coverage
+function getSwissPair() {
+    
+    // Prioritize the photos whose ratings are least certain
+    const sortedByDeviation = [...state.candidates].sort((a, b) => {
+        // First priority: larger deviation
+        const deviationDiff = getRatingDeviation(b) - getRatingDeviation(a);
+        if (deviationDiff !== 0) return deviationDiff;
+        // Second priority: similar rating
+        return getRating(b) - getRating(a);
     });
     
-    // Get the photos with the fewest comparisons
-    const minComparisons = sortedByComparisons[0].comparisons || 0;
-    const underCompared = sortedByComparisons.filter(p => (p.comparisons || 0) <= minComparisons + 1);
+    // Get the photos (about) as uncertain as the most uncertain one
+    const maxDeviation = getRatingDeviation(sortedByDeviation[0]);
+    const underCompared = sortedByDeviation.filter(p => getRatingDeviation(p) >= maxDeviation - PAIRING_DEVIATION_BAND);
     
     // If we have enough under-compared photos, pick from them
     if (underCompared.length >= 2) {
@@ -484,8 +1159,8 @@ function getNextPair() {
         }
     }
     
-    // Fallback: sort by Elo and pair adjacent ratings (classic Swiss)
-    const sortedByElo = [...state.candidates].sort((a, b) => b.elo - a.elo);
+    // Fallback: sort by rating and pair adjacent ratings (classic Swiss)
+    const sortedByElo = getRankedCandidates();
     
     // Shuffle starting position to avoid always starting from top
     const startOffset = Math.floor(Math.random() * (sortedByElo.length - 1));
@@ -509,142 +1184,792 @@ function getNextPair() {
     return [shuffledAll[0], shuffledAll[1]];
 }
 
-// Track previous top N sets for stability measurement
-let previousTopNSets = [];
+const TOP_N_SAMPLES = 400; // Posterior draws per top-N probability estimate
 
-function calculateConfidence() {
-    // Confidence based on how stable the TOP N SET is (not the order within it)
-    // The progress bar measures whether the same photos stay in the top N
-    
+// Probability that each candidate belongs in the top N: draw every rating from its posterior
+// (rating ± deviation, treated as independent normals) and count how often each photo lands
+// in the top N. Returns photo ID -> probability. With Elo these are Glicko-2 probabilities.
+function getTopNProbabilities(samples = TOP_N_SAMPLES) {
     const n = state.candidates.length;
     const targetN = Math.min(state.targetCount, n);
-    
-    if (targetN < 2 || state.comparisonsCompleted < 2) {
-        return 0;
-    }
-    
-    // Get current top N photo IDs as a Set
-    const sortedByElo = [...state.candidates].sort((a, b) => b.elo - a.elo);
-    const currentTopNIds = new Set(sortedByElo.slice(0, targetN).map(p => p.id));
-    
-    // Add to history (keep last 10 snapshots)
-    previousTopNSets.push(currentTopNIds);
-    if (previousTopNSets.length > 10) {
-        previousTopNSets.shift();
-    }
-    
-    // Need at least 3 snapshots to measure stability
-    if (previousTopNSets.length < 3) {
-        return Math.min(20, state.comparisonsCompleted * 5);
-    }
-    
-    // Calculate stability: how many of the last snapshots have the same set
-    let stableCount = 0;
-    for (let i = 1; i < previousTopNSets.length; i++) {
-        const prevSet = previousTopNSets[i - 1];
-        const currSet = previousTopNSets[i];
-        
-        // Check if sets are identical (same photos, regardless of order)
-        let identical = true;
-        if (prevSet.size !== currSet.size) {
-            identical = false;
-        } else {
-            for (const id of currSet) {
-                if (!prevSet.has(id)) {
-                    identical = false;
-                    break;
-                }
-            }
+    const means = state.candidates.map(getPosteriorRating);
+    const deviations = state.candidates.map(getRatingDeviation);
+    const counts = new Float64Array(n);
+    const draws = new Float64Array(n);
+    const order = state.candidates.map((_, i) => i);
+    
+    for (let sample = 0; sample < samples; sample++) {
+        for (let i = 0; i < n; i++) {
+            draws[i] = means[i] + randomNormal() * deviations[i];
         }
-        
-        if (identical) {
-            stableCount++;
+        order.sort((a, b) => draws[b] - draws[a]);
+        for (let k = 0; k < targetN; k++) {
+            counts[order[k]]++;
         }
     }
     
-    // Stability ratio (how many consecutive snapshots were stable)
-    const stabilityRatio = stableCount / (previousTopNSets.length - 1);
-    
-    // Also factor in basic coverage (has everyone been compared at least once?)
-    const comparedCount = state.candidates.filter(p => (p.comparisons || 0) >= 1).length;
-    const coverageRatio = comparedCount / n;
+    return new Map(state.candidates.map((p, i) => [p.id, counts[i] / samples]));
+}
+
+// Confidence is how sure the model is about the least certain in/out call: the probability
+// that the photo most likely to be on the wrong side of the cutoff is on the right side.
+// One genuine toss-up at the cutoff holds the meter down, however sure the rest are.
+function calculateConfidence() {
+    const n = state.candidates.length;
+    const targetN = Math.min(state.targetCount, n);
     
-    // Confidence: mostly stability, with coverage as a baseline
-    // Need good coverage AND stability to reach high confidence
-    const baseConfidence = coverageRatio * 30; // Up to 30% from coverage
-    const stabilityConfidence = stabilityRatio * 70; // Up to 70% from stability
+    if (targetN >= n) return 100; // Everything makes the cut
+    if (state.comparisonsCompleted === 0) return 0; // The current top N is an arbitrary tie-break
     
-    const confidence = baseConfidence + stabilityConfidence;
+    const probabilities = getTopNProbabilities();
+    const ranked = getRankedCandidates();
+    let certainty = 1;
+    ranked.forEach((photo, rank) => {
+        const probability = probabilities.get(photo.id);
+        certainty = Math.min(certainty, rank < targetN ? probability : 1 - probability);
+    });
     
-    return Math.min(100, Math.round(confidence));
+    return Math.floor(certainty * 100);
 }
 
 // ============================================
-// New Project Modal
+// Bradley–Terry - Maximum-Likelihood Ratings
 // ============================================
 
-// Temporary storage for new project setup
-let newProjectState = {
-    dirHandle: null,
-    photoCount: 0
-};
-
-function openNewProjectModal() {
-    elements.newProjectModal.classList.remove('hidden');
-    showNewProjectStep(1);
-    newProjectState = { dirHandle: null, photoCount: 0 };
+// Elo depends on the order comparisons happened in and on ELO_K. Bradley–Terry instead
+// fits every strength at once to the whole comparisonHistory: P(i beats j) is
+// 1 / (1 + e^(θj - θi)). A Gaussian prior on θ keeps unbeaten photos finite, and the
+// curvature at the optimum gives each photo an uncertainty. Strengths are shown on
+// the Elo scale so both models read the same.
+
+const BT_PRIOR_SD = 1.5; // Prior spread of strengths, in log-odds
+const BT_MAX_ITERATIONS = 50;
+const BT_ELO_SCALE = 400 / Math.LN10; // Log-odds -> Elo points
+
+// Cholesky factor L (lower triangular, H = L·Lᵀ) of a symmetric positive definite matrix.
+// Pass L to reuse its rows; only the lower triangle is written.
+function choleskyDecompose(matrix, L = Array.from({ length: matrix.length }, () => new Float64Array(matrix.length))) {
+    const n = matrix.length;
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+            L[i][j] = i === j ? Math.sqrt(Math.max(sum, 1e-12)) : sum / L[j][j];
+        }
+    }
+    return L;
 }
 
-function closeNewProjectModal() {
-    elements.newProjectModal.classList.add('hidden');
-    newProjectState = { dirHandle: null, photoCount: 0 };
+// Solve L·Lᵀ·x = b
+function choleskySolve(L, b) {
+    const n = L.length;
+    const y = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        let sum = b[i];
+        for (let k = 0; k < i; k++) sum -= L[i][k] * y[k];
+        y[i] = sum / L[i][i];
+    }
+    const x = new Float64Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = y[i];
+        for (let k = i + 1; k < n; k++) sum -= L[k][i] * x[k];
+        x[i] = sum / L[i][i];
+    }
+    return x;
 }
 
-function showNewProjectStep(step) {
-    elements.newProjectStep1.classList.remove('active');
-    elements.newProjectStep2.classList.remove('active');
-    elements.newProjectStep3.classList.remove('active');
-    
-    if (step === 1) elements.newProjectStep1.classList.add('active');
-    if (step === 2) elements.newProjectStep2.classList.add('active');
-    if (step === 3) elements.newProjectStep3.classList.add('active');
+// Diagonal of (L·Lᵀ)⁻¹ = L⁻ᵀ·L⁻¹, i.e. the squared column norms of L⁻¹. Column i of L⁻¹
+// is zero above row i, so each is a forward substitution from row i down: n³/6 work
+// instead of n full solves.
+function choleskyInverseDiagonal(L) {
+    const n = L.length;
+    const diagonal = new Float64Array(n);
+    const column = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        let sumSquares = 0;
+        for (let r = i; r < n; r++) {
+            let sum = r === i ? 1 : 0;
+            for (let k = i; k < r; k++) sum -= L[r][k] * column[k];
+            column[r] = sum / L[r][r];
+            sumSquares += column[r] * column[r];
+        }
+        diagonal[i] = sumSquares;
+    }
+    return diagonal;
 }
 
-// Guard to prevent multiple file picker dialogs
-let isFilePickerActive = false;
-
-async function selectFolderForNewProject() {
-    if (isFilePickerActive) return;
+// Maximum a posteriori strengths by Newton's method. Returns photo ID -> { rating, deviation }
+// on the Elo scale. Ties count as half a win for each side. Passing the previous fit's
+// ratings starts Newton there, so a fit after one more comparison takes a step or two.
+function fitBradleyTerry(photos, history, previous = null) {
+    const n = photos.length;
+    const ratings = new Map();
+    if (n === 0) return ratings;
+    
+    const indexById = new Map(photos.map((photo, i) => [photo.id, i]));
+    const games = new Map(); // lo * n + hi -> { i: lo, j: hi, count, winsI }
+    for (const entry of history) {
+        const a = indexById.get(entry.a);
+        const b = indexById.get(entry.b);
+        if (a === undefined || b === undefined || a === b || entry.reasked) continue;
+        
+        const i = Math.min(a, b);
+        const j = Math.max(a, b);
+        const key = i * n + j;
+        if (!games.has(key)) games.set(key, { i, j, count: 0, winsI: 0 });
+        
+        // Games from multi-photo matches carry part of a game's weight
+        const weight = entry.weight ?? 1;
+        const game = games.get(key);
+        game.count += weight;
+        game.winsI += weight * (entry.winner === photos[i].id ? 1 : entry.winner == null ? 0.5 : 0);
+    }
     
-    try {
-        if (!('showDirectoryPicker' in window)) {
-            alert('Your browser does not support the File System Access API. Please use Chrome, Edge, or another Chromium-based browser.');
-            return;
+    const priorPrecision = 1 / (BT_PRIOR_SD * BT_PRIOR_SD);
+    const theta = new Float64Array(n);
+    if (previous) {
+        for (let i = 0; i < n; i++) {
+            const rating = previous.get(photos[i].id)?.rating;
+            if (rating !== undefined) theta[i] = (rating - ELO_DEFAULT) / BT_ELO_SCALE;
+        }
+    }
+    
+    // Allocated once and refilled on every iteration
+    const gradient = new Float64Array(n);
+    const hessian = Array.from({ length: n }, () => new Float64Array(n));
+    const L = Array.from({ length: n }, () => new Float64Array(n));
+    
+    for (let iteration = 0; iteration < BT_MAX_ITERATIONS; iteration++) {
+        // Gradient and Hessian of the negative log posterior
+        for (let i = 0; i < n; i++) {
+            hessian[i].fill(0);
+            gradient[i] = theta[i] * priorPrecision;
+            hessian[i][i] = priorPrecision;
+        }
+        for (const { i, j, count, winsI } of games.values()) {
+            const p = 1 / (1 + Math.exp(theta[j] - theta[i]));
+            const residual = winsI - count * p;
+            gradient[i] -= residual;
+            gradient[j] += residual;
+            
+            const weight = count * p * (1 - p);
+            hessian[i][i] += weight;
+            hessian[j][j] += weight;
+            hessian[i][j] -= weight;
+            hessian[j][i] -= weight;
         }
-
-        isFilePickerActive = true;
-        const dirHandle = await window.showDirectoryPicker();
-        isFilePickerActive = false;
-        
-        newProjectState.dirHandle = dirHandle;
         
-        // Move to analysis step
-        showNewProjectStep(2);
-        elements.analysisStatus.textContent = `Scanning "${dirHandle.name}"...`;
+        choleskyDecompose(hessian, L);
+        const step = choleskySolve(L, gradient);
         
-        // Count photos
-        let photoCount = 0;
-        const imageExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.bmp'];
+        // Damp huge first steps (lopsided records) so Newton doesn't overshoot
+        let maxStep = 0;
+        for (let i = 0; i < n; i++) maxStep = Math.max(maxStep, Math.abs(step[i]));
+        const damping = maxStep > 2 ? 2 / maxStep : 1;
+        for (let i = 0; i < n; i++) theta[i] -= step[i] * damping;
         
-        for await (const entry of dirHandle.values()) {
-            if (entry.kind === 'file') {
-                const ext = entry.name.toLowerCase().substring(entry.name.lastIndexOf('.'));
-                if (imageExtensions.includes(ext)) {
-                    photoCount++;
-                    if (photoCount % 100 === 0) {
-                        elements.analysisStatus.textContent = `Found ${photoCount} photos...`;
-                        await new Promise(r => setTimeout(r, 0));
-                    }
+        if (maxStep < 1e-6) break;
+    }
+    
+    // Posterior variances are the diagonal of the inverse Hessian
+    const variances = choleskyInverseDiagonal(L);
+    for (let i = 0; i < n; i++) {
+        ratings.set(photos[i].id, {
+            rating: ELO_DEFAULT + theta[i] * BT_ELO_SCALE,
+            deviation: Math.sqrt(variances[i]) * BT_ELO_SCALE
+        });
+    }
+    return ratings;
+}
+
+// Refits are O(n³), so the last fit is reused until the history or pool changes, and a
+// refit starts from it
+let bradleyTerryFit = { history: null, length: -1, last: null, candidates: null, count: -1, ratings: new Map() };
+
+function getBradleyTerryRatings() {
+    const history = state.comparisonHistory;
+    const last = history[history.length - 1] || null;
+    const fit = bradleyTerryFit;
+    
+    if (fit.history !== history || fit.length !== history.length || fit.last !== last ||
+        fit.candidates !== state.candidates || fit.count !== state.candidates.length) {
+        bradleyTerryFit = {
+            history,
+            length: history.length,
+            last,
+            candidates: state.candidates,
+            count: state.candidates.length,
+            ratings: fitBradleyTerry(state.candidates, history, fit.ratings)
+        };
+    }
+    return bradleyTerryFit.ratings;
+}
+
+// Rating under the current model (Elo scale for all of them)
+function getRating(photo) {
+    if (state.rankingModel === 'bt') {
+        return getBradleyTerryRatings().get(photo.id)?.rating ?? ELO_DEFAULT;
+    }
+    if (state.rankingModel === 'glicko') {
+        return photo.glicko?.rating ?? ELO_DEFAULT;
+    }
+    return photo.elo;
+}
+
+// Uncertainty (±1 SD on the Elo scale) under the current model. Elo has none of its
+// own, so the Glicko-2 deviation tracked alongside it stands in.
+function getRatingDeviation(photo) {
+    if (state.rankingModel === 'bt') {
+        return getBradleyTerryRatings().get(photo.id)?.deviation ?? BT_PRIOR_SD * BT_ELO_SCALE;
+    }
+    return photo.glicko?.rd ?? GLICKO_DEFAULT_RD;
+}
+
+// Mean that goes with getRatingDeviation() when drawing from the posterior. For Elo that's
+// the Glicko-2 rating, so probabilities never mix an Elo mean with a Glicko-2 deviation.
+function getPosteriorRating(photo) {
+    return state.rankingModel === 'elo' ? photo.glicko?.rating ?? ELO_DEFAULT : getRating(photo);
+}
+
+// Deviation of a photo that hasn't been compared yet
+function getInitialRatingDeviation() {
+    return state.rankingModel === 'bt' ? BT_PRIOR_SD * BT_ELO_SCALE : GLICKO_DEFAULT_RD;
+}
+
+function formatRating(photo) {
+    return `${Math.round(getRating(photo))} ±${Math.round(getRatingDeviation(photo))}`;
+}
+
+// Shared scale (lowest rating - deviation to highest rating + deviation) for error bars
+function getRatingScale(photos) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const photo of photos) {
+        const rating = getRating(photo);
+        const deviation = getRatingDeviation(photo);
+        min = Math.min(min, rating - deviation);
+        max = Math.max(max, rating + deviation);
+    }
+    return { min, max: Math.max(max, min + 1) };
+}
+
+// Rating ± deviation as a whisker on the shared scale, so overlapping bars read as "could swap"
+function getErrorBarHtml(photo, scale) {
+    const position = (value) => ((value - scale.min) / (scale.max - scale.min)) * 100;
+    const rating = getRating(photo);
+    const deviation = getRatingDeviation(photo);
+    const left = position(rating - deviation);
+    const right = position(rating + deviation);
+    
+    return `
+        <span class="rating-error-bar" title="Rating ${formatRating(photo)}">
+            <span class="rating-error-range" style="left: ${left}%; width: ${right - left}%"></span>
+            <span class="rating-error-mean" style="left: ${position(rating)}%"></span>
+        </span>
+    `;
+}
+
+// Candidates best first under the current model. A full sort puts its sorted photos first,
+// a bracket the photos still in (by rating) and then the rest, knocked out last first.
+// Anything not placed yet follows by rating.
+function getRankedCandidates() {
+    const byRating = [...state.candidates].sort((a, b) => getRating(b) - getRating(a));
+    let order;
+    
+    if (state.rankingMode === 'insertion') {
+        order = getInsertionProgress().sorted;
+    } else if (state.rankingMode === 'bracket') {
+        const { alive, eliminated } = getBracketProgress();
+        const byId = new Map(state.candidates.map(p => [p.id, p]));
+        order = [...byRating.filter(p => alive.includes(p.id)), ...eliminated.reverse().map(id => byId.get(id))];
+    } else {
+        return byRating;
+    }
+    
+    const placed = new Set(order);
+    return [...order, ...byRating.filter(p => !placed.has(p))];
+}
+
+function setRankingModel(model) {
+    if (!RANKING_MODEL_LABELS[model]) return;
+    
+    state.rankingModel = model;
+    elements.rankingModelSelect.value = model;
+    elements.resultsModelSelect.value = model;
+    
+    if (state.currentPhase === 'results') {
+        finishRanking();
+    } else if (state.currentPhase === 'ranking' && state.currentPair) {
+        refreshCurrentMatchRatings();
+        scheduleSave();
+    }
+}
+
+// Only the ratings shown on the current match (and the confidence) change
+function refreshCurrentMatchRatings() {
+    elements.rankingArena.querySelectorAll('.ranking-photo').forEach(el => {
+        const photo = state.candidates.find(p => p.id === el.dataset.id);
+        if (photo) el.querySelector('.photo-elo').textContent = `Rating: ${formatRating(photo)}`;
+    });
+    updateConfidenceMeter();
+}
+
+// ============================================
+// Glicko-2 - Ratings with Uncertainty
+// ============================================
+
+// Each photo carries a rating, a rating deviation (RD) and a volatility. Every comparison
+// is its own rating period: RD shrinks as a photo is compared and grows back when its
+// results surprise. Pairing and the confidence meter use RD instead of raw counts.
+// Reference: Glickman, "Example of the Glicko-2 system" (2013).
+
+const GLICKO_DEFAULT_RD = 350;
+const GLICKO_DEFAULT_VOLATILITY = 0.06;
+const GLICKO_TAU = 0.5; // Constrains volatility changes
+const GLICKO_SCALE = 173.7178; // Glicko-2 internal scale <-> Elo points
+
+function createGlickoRating() {
+    return { rating: ELO_DEFAULT, rd: GLICKO_DEFAULT_RD, volatility: GLICKO_DEFAULT_VOLATILITY };
+}
+
+// New rating for a player after one rating period (a match). Each result is
+// { opponent, score (1 = win, 0.5 = tie, 0 = loss), weight }; a match's pairwise games are
+// weighted by getMatchWeight() so a six-photo match isn't worth five head-to-heads.
+function computeGlickoUpdate(player, results) {
+    const mu = (player.rating - ELO_DEFAULT) / GLICKO_SCALE;
+    const phi = player.rd / GLICKO_SCALE;
+    const sigma = player.volatility;
+    
+    let information = 0; // 1 / v
+    let improvement = 0; // Δ / v
+    for (const { opponent, score, weight = 1 } of results) {
+        const opponentMu = (opponent.rating - ELO_DEFAULT) / GLICKO_SCALE;
+        const opponentPhi = opponent.rd / GLICKO_SCALE;
+        const g = 1 / Math.sqrt(1 + (3 * opponentPhi * opponentPhi) / (Math.PI * Math.PI));
+        const expected = 1 / (1 + Math.exp(-g * (mu - opponentMu)));
+        information += weight * g * g * expected * (1 - expected);
+        improvement += weight * g * (score - expected);
+    }
+    const v = 1 / information;
+    const delta = v * improvement;
+    
+    // New volatility: root of f(x) by the Illinois algorithm
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        const d = phi * phi + v + ex;
+        return (ex * (delta * delta - phi * phi - v - ex)) / (2 * d * d) - (x - a) / (GLICKO_TAU * GLICKO_TAU);
+    };
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * GLICKO_TAU) < 0) k++;
+        B = a - k * GLICKO_TAU;
+    }
+    let fA = f(A);
+    let fB = f(B);
+    for (let i = 0; i < 100 && Math.abs(B - A) > 1e-6; i++) {
+        const C = A + ((A - B) * fA) / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA /= 2;
+        }
+        B = C;
+        fB = fC;
+    }
+    const newSigma = Math.exp(A / 2);
+    
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * improvement;
+    
+    return {
+        rating: ELO_DEFAULT + newMu * GLICKO_SCALE,
+        rd: newPhi * GLICKO_SCALE,
+        volatility: newSigma
+    };
+}
+
+// Update every photo in a match from the ratings before it
+function updateGlickoMatch(photos, outcomes, weight = getMatchWeight(photos.length)) {
+    const before = new Map(photos.map(p => [p.id, p.glicko || createGlickoRating()]));
+    const results = new Map(photos.map(p => [p.id, []]));
+    
+    for (const { a, b, scoreA } of outcomes) {
+        results.get(a.id).push({ opponent: before.get(b.id), score: scoreA, weight });
+        results.get(b.id).push({ opponent: before.get(a.id), score: 1 - scoreA, weight });
+    }
+    
+    for (const photo of photos) {
+        photo.glicko = computeGlickoUpdate(before.get(photo.id), results.get(photo.id));
+    }
+}
+
+// ============================================
+// Boundary Pairing - Active Learning Around the Cutoff
+// ============================================
+
+// Swiss pairing spreads comparisons evenly over the whole pool, but the only question
+// that matters in the end is which photos make the top N. This strategy treats each
+// photo's rating as a normal distribution (rating ± deviation) and asks about the
+// photos whose side of the cutoff is least certain, preferring pairs that straddle it
+// and whose outcome is hardest to predict.
+
+const BOUNDARY_WINDOW = 12; // Most uncertain photos considered for the next pair
+
+// Rating halfway between the last photo in the top N and the first one out
+function getCutoffRating(ranked, targetN) {
+    return (getPosteriorRating(ranked[targetN - 1]) + getPosteriorRating(ranked[targetN])) / 2;
+}
+
+// Probability that a photo's true rating lies above the cutoff
+function getTopNProbability(photo, cutoff) {
+    return normalCdf((getPosteriorRating(photo) - cutoff) / Math.max(1, getRatingDeviation(photo)));
+}
+
+// Chance A beats B, widened by both deviations the way Glicko's g() factor does it
+function getPredictedWinProbability(photoA, photoB) {
+    const q = Math.LN10 / 400;
+    const combinedVariance = getRatingDeviation(photoA) ** 2 + getRatingDeviation(photoB) ** 2;
+    const g = 1 / Math.sqrt(1 + (3 * q * q * combinedVariance) / (Math.PI * Math.PI));
+    return 1 / (1 + Math.pow(10, (-g * (getPosteriorRating(photoA) - getPosteriorRating(photoB))) / 400));
+}
+
+// Entropy (bits) of a win/lose outcome: 1 for a coin flip, 0 for a foregone conclusion
+function getOutcomeEntropy(p) {
+    if (p <= 0 || p >= 1) return 0;
+    return -(p * Math.log2(p) + (1 - p) * Math.log2(1 - p));
+}
+
+// pool limits the pair to some of the candidates (the cutoff still comes from all of them).
+// A restricted pool may be small enough that every pair was just compared, so recent
+// pairs are only discouraged there instead of ruled out.
+function getBoundaryPair(pool = null) {
+    const n = state.candidates.length;
+    const targetN = Math.min(state.targetCount, n);
+    
+    // Nothing to decide if everything (or nothing) makes the cut, and the cutoff means
+    // little until every photo has been compared at least once
+    if (!pool && (targetN < 1 || targetN >= n || state.candidates.some(p => !p.comparisons))) {
+        return getSwissPair();
+    }
+    
+    const ranked = getRankedCandidates();
+    const cutoff = getCutoffRating(ranked, Math.max(1, Math.min(targetN, n - 1)));
+    
+    // The photos whose in/out status is closest to a coin flip
+    const window = (pool ? ranked.filter(p => pool.includes(p)) : ranked)
+        .map(photo => {
+            const probability = getTopNProbability(photo, cutoff);
+            return { photo, probability, uncertainty: probability * (1 - probability) };
+        })
+        .sort((a, b) => b.uncertainty - a.uncertainty)
+        .slice(0, BOUNDARY_WINDOW);
+    
+    const recentHistory = state.comparisonHistory.slice(-10);
+    let bestPair = null;
+    let bestScore = 0;
+    
+    for (let i = 0; i < window.length; i++) {
+        for (let j = i + 1; j < window.length; j++) {
+            const a = window[i];
+            const b = window[j];
+            
+            const recentlyCompared = recentHistory.some(
+                h => (h.a === a.photo.id && h.b === b.photo.id) || (h.a === b.photo.id && h.b === a.photo.id)
+            );
+            if (recentlyCompared && !pool) continue;
+            
+            // A pair on opposite sides of the cutoff can settle both photos at once
+            const straddles = (a.probability - 0.5) * (b.probability - 0.5) <= 0;
+            const entropy = getOutcomeEntropy(getPredictedWinProbability(a.photo, b.photo));
+            const score = (a.uncertainty + b.uncertainty) * entropy * (straddles ? 1 : 0.5) * (recentlyCompared ? 0.1 : 1);
+            
+            if (score > bestScore) {
+                bestScore = score;
+                bestPair = [a.photo, b.photo];
+            }
+        }
+    }
+    
+    if (!bestPair) return pool ? shuffleArray(pool).slice(0, 2) : getSwissPair();
+    
+    // Don't let the more likely winner always sit on the left
+    return Math.random() < 0.5 ? bestPair : [bestPair[1], bestPair[0]];
+}
+
+function setPairingStrategy(strategy) {
+    if (!PAIRING_STRATEGY_LABELS[strategy]) return;
+    
+    state.pairingStrategy = strategy;
+    elements.pairingStrategySelect.value = strategy;
+    scheduleSave(); // The current pair stays; the next one uses the new strategy
+}
+
+// ============================================
+// Pairing Simulation
+// ============================================
+
+// Ranks made-up photos with known true ratings, answering every comparison like a
+// consistent but imperfect judge (Bradley–Terry win probabilities), and counts how many
+// comparisons each strategy needs before its top N matches the true top N for good.
+// Photos a few points either side of the true cutoff are effectively coin flips for the
+// judge, so "matches" allows a small share of the top N to be wrong.
+// The real candidates and history are swapped out only inside synchronous blocks, so
+// the ranking screen never sees the simulated photos.
+
+const SIM_RATING_SD = 400; // Spread of the true ratings, in Elo points
+const SIM_TOLERANCE = 0.1; // Share of the top N (at least one photo) allowed to be wrong once converged
+const SIM_MAX_COMPARISONS_PER_PHOTO = 15; // A trial gives up after this many comparisons per photo
+const SIM_CHECKPOINT_PER_PHOTO = 3; // Budget at which the top N accuracy is also reported
+
+let pairingSimRunning = false;
+
+function countMisplaced(ranked, targetN, trueTopIds) {
+    let misplaced = 0;
+    for (let i = 0; i < targetN; i++) {
+        if (!trueTopIds.has(ranked[i].id)) misplaced++;
+    }
+    return misplaced;
+}
+
+function runPairingSimulationTrial(strategy, trueRatings, targetN) {
+    const n = trueRatings.length;
+    const maxComparisons = n * SIM_MAX_COMPARISONS_PER_PHOTO;
+    const checkpoint = n * SIM_CHECKPOINT_PER_PHOTO;
+    const allowedMisplaced = Math.max(1, Math.floor(targetN * SIM_TOLERANCE));
+    const candidates = trueRatings.map((trueRating, i) => ({
+        id: `sim-${i}`,
+        trueRating,
+        elo: ELO_DEFAULT,
+        glicko: createGlickoRating(),
+        comparisons: 0
+    }));
+    const trueTopIds = new Set(
+        [...candidates].sort((a, b) => b.trueRating - a.trueRating).slice(0, targetN).map(p => p.id)
+    );
+    
+    const saved = {
+        candidates: state.candidates,
+        comparisonHistory: state.comparisonHistory,
+        rankingMode: state.rankingMode,
+        rankingModel: state.rankingModel,
+        pairingStrategy: state.pairingStrategy,
+        targetCount: state.targetCount,
+        borderlineRun: state.borderlineRun,
+        reaskRun: state.reaskRun
+    };
+    
+    let lastWrongStep = 0;
+    let misplacedAtCheckpoint = 0;
+    
+    try {
+        state.candidates = candidates;
+        state.comparisonHistory = [];
+        state.rankingMode = 'rating';
+        state.rankingModel = 'glicko';
+        state.pairingStrategy = strategy;
+        state.targetCount = targetN;
+        state.borderlineRun = null; // A run's photo IDs would leave no simulated photos to pair
+        state.reaskRun = null;
+        
+        for (let step = 1; step <= maxComparisons; step++) {
+            const [photoA, photoB] = getNextPair();
+            const aWins = Math.random() < expectedScore(photoA.trueRating, photoB.trueRating);
+            const winner = aWins ? photoA : photoB;
+            const loser = aWins ? photoB : photoA;
+            
+            state.comparisonHistory.push({ a: photoA.id, b: photoB.id, winner: winner.id });
+            updateMatchRatings([photoA, photoB], [{ a: winner, b: loser, scoreA: 1 }]);
+            
+            const misplaced = countMisplaced(getRankedCandidates(), targetN, trueTopIds);
+            if (misplaced > allowedMisplaced) lastWrongStep = step;
+            if (step === checkpoint) misplacedAtCheckpoint = misplaced;
+        }
+    } finally {
+        Object.assign(state, saved);
+    }
+    
+    return {
+        converged: lastWrongStep < maxComparisons,
+        comparisons: lastWrongStep + 1,
+        misplacedAtCheckpoint
+    };
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function openPairingSimModal() {
+    if (!pairingSimRunning) {
+        const poolSize = state.candidates.length >= 4 ? Math.min(200, state.candidates.length) : 50;
+        elements.simPoolSize.value = poolSize;
+        elements.simTargetCount.value = Math.min(state.targetCount, poolSize - 1);
+    }
+    elements.pairingSimModal.classList.remove('hidden');
+}
+
+function closePairingSimModal() {
+    elements.pairingSimModal.classList.add('hidden');
+}
+
+async function runPairingSimulation() {
+    if (pairingSimRunning) return;
+    
+    const poolSize = parseInt(elements.simPoolSize.value, 10);
+    const targetN = parseInt(elements.simTargetCount.value, 10);
+    const trials = parseInt(elements.simTrials.value, 10);
+    
+    if (!(poolSize >= 4 && poolSize <= 200)) {
+        alert('Please enter between 4 and 200 photos.');
+        return;
+    }
+    if (!(targetN >= 1 && targetN < poolSize)) {
+        alert('The target must be at least 1 and smaller than the number of photos.');
+        return;
+    }
+    if (!(trials >= 1 && trials <= 100)) {
+        alert('Please enter between 1 and 100 trials.');
+        return;
+    }
+    
+    pairingSimRunning = true;
+    elements.pairingSimRun.disabled = true;
+    elements.pairingSimResults.innerHTML = '';
+    
+    const strategies = Object.keys(PAIRING_STRATEGY_LABELS);
+    const results = Object.fromEntries(strategies.map(s => [s, []]));
+    
+    try {
+        for (let trial = 0; trial < trials; trial++) {
+            elements.pairingSimStatus.textContent = `Running trial ${trial + 1} of ${trials}...`;
+            // Let the status repaint between trials
+            await new Promise(resolve => setTimeout(resolve, 0));
+            
+            // Every strategy ranks the same photos in a trial
+            const trueRatings = Array.from({ length: poolSize }, () => ELO_DEFAULT + randomNormal() * SIM_RATING_SD);
+            for (const strategy of strategies) {
+                results[strategy].push(runPairingSimulationTrial(strategy, trueRatings, targetN));
+            }
+        }
+    } finally {
+        pairingSimRunning = false;
+        elements.pairingSimRun.disabled = false;
+    }
+    
+    const maxComparisons = poolSize * SIM_MAX_COMPARISONS_PER_PHOTO;
+    const allowedMisplaced = Math.max(1, Math.floor(targetN * SIM_TOLERANCE));
+    elements.pairingSimStatus.textContent =
+        `${trials} trial${trials === 1 ? '' : 's'} of ${poolSize} photos, top ${targetN}. ` +
+        `Converged means at most ${allowedMisplaced} wrong photo${allowedMisplaced === 1 ? '' : 's'} in the top ${targetN} from then on; ` +
+        `trials that never get there within ${maxComparisons} comparisons count as ${maxComparisons}.`;
+    
+    elements.pairingSimResults.innerHTML = `
+        <table class="pairing-sim-table">
+            <thead>
+                <tr>
+                    <th>Strategy</th>
+                    <th>Median comparisons to converge</th>
+                    <th>Converged</th>
+                    <th>Wrong in top ${targetN} after ${poolSize * SIM_CHECKPOINT_PER_PHOTO}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${strategies.map(strategy => {
+                    const runs = results[strategy];
+                    const convergedCount = runs.filter(r => r.converged).length;
+                    const averageMisplaced = runs.reduce((sum, r) => sum + r.misplacedAtCheckpoint, 0) / runs.length;
+                    return `
+                        <tr class="${strategy === state.pairingStrategy ? 'current' : ''}">
+                            <td>${PAIRING_STRATEGY_LABELS[strategy]}</td>
+                            <td>${Math.round(median(runs.map(r => r.comparisons)))}</td>
+                            <td>${Math.round((convergedCount / runs.length) * 100)}%</td>
+                            <td>${averageMisplaced.toFixed(1)}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// ============================================
+// New Project Modal
+// ============================================
+
+// Temporary storage for new project setup
+let newProjectState = {
+    dirHandle: null,
+    photoCount: 0
+};
+
+function openNewProjectModal() {
+    elements.newProjectModal.classList.remove('hidden');
+    showNewProjectStep(1);
+    newProjectState = { dirHandle: null, photoCount: 0 };
+}
+
+function closeNewProjectModal() {
+    elements.newProjectModal.classList.add('hidden');
+    newProjectState = { dirHandle: null, photoCount: 0 };
+}
+
+function showNewProjectStep(step) {
+    elements.newProjectStep1.classList.remove('active');
+    elements.newProjectStep2.classList.remove('active');
+    elements.newProjectStep3.classList.remove('active');
+    
+    if (step === 1) elements.newProjectStep1.classList.add('active');
+    if (step === 2) elements.newProjectStep2.classList.add('active');
+    if (step === 3) elements.newProjectStep3.classList.add('active');
+}
+
+// Guard to prevent multiple file picker dialogs
+let isFilePickerActive = false;
+
+async function selectFolderForNewProject() {
+    if (isFilePickerActive) return;
+    
+    try {
+        if (!('showDirectoryPicker' in window)) {
+            alert('Your browser does not support the File System Access API. Please use Chrome, Edge, or another Chromium-based browser.');
+            return;
+        }
+
+        isFilePickerActive = true;
+        const dirHandle = await window.showDirectoryPicker();
+        isFilePickerActive = false;
+        
+        newProjectState.dirHandle = dirHandle;
+        
+        // Move to analysis step
+        showNewProjectStep(2);
+        elements.analysisStatus.textContent = `Scanning "${dirHandle.name}"...`;
+        
+        // Count photos (including RAW files, which are shown via their embedded previews).
+        // RAW+JPEG pairs share a basename and count as one photo.
+        let photoCount = 0;
+        const seenBasenames = new Set();
+        
+        for await (const entry of dirHandle.values()) {
+            if (entry.kind === 'file' && isImageFile(entry.name)) {
+                const basename = entry.name.toLowerCase().replace(/\.[^.]+$/, '');
+                if (seenBasenames.has(basename)) continue;
+                seenBasenames.add(basename);
+                
+                photoCount++;
+                if (photoCount % 100 === 0) {
+                    elements.analysisStatus.textContent = `Found ${photoCount} photos...`;
+                    await new Promise(r => setTimeout(r, 0));
                 }
             }
         }
@@ -684,7 +2009,7 @@ async function startNewProject() {
     
     // Get settings from modal
     const targetCount = parseInt(elements.modalTargetCount.value) || 25;
-    const shuffleOption = document.querySelector('.toggle-option.active')?.dataset.value || 'original';
+    const shuffleOption = document.querySelector('#review-order-options .toggle-option.active')?.dataset.value || 'original';
     
     // Update hidden inputs for compatibility
     elements.targetCountInput.value = targetCount;
@@ -739,6 +2064,7 @@ async function loadPhotosFromDirectory(dirHandle, skipCacheCheck = false) {
         
         // Store directory handle for persistence
         state.dirHandle = dirHandle;
+        state.folderId = await getFolderId(dirHandle);
         
         // Check for existing session cache
         let cachedSession = null;
@@ -760,26 +2086,41 @@ async function loadPhotosFromDirectory(dirHandle, skipCacheCheck = false) {
         }
     }
     
+    cancelAllThumbnails();
     state.allPhotos = [];
+    state.thumbnailCache.forEach(url => URL.revokeObjectURL(url));
     state.thumbnailCache.clear();
-    state.fullSizeCache.clear();
+    clearFullSizeCache();
+    state.rawPreviewCache.clear();
+    state.photoRotations.clear();
+    state.clusters = [];
+    state.clusterFingerprints.clear(); // Photo IDs are reassigned on every load
+    state.photoSharpness.clear();
+    state.photoExposure.clear();
+    clusterRefineRun++;
     
     // Recursively collect all image files
-    const photoFiles = [];
     elements.loadingStatus.textContent = 'Scanning folder...';
     elements.progressText.textContent = 'Discovering photos...';
     
-    await scanDirectory(dirHandle, photoFiles, '', (count) => {
+    const scannedFiles = [];
+    await scanDirectory(dirHandle, scannedFiles, '', (count) => {
         elements.progressText.textContent = `Found ${count} photos...`;
     });
     
-    if (photoFiles.length === 0) {
+    if (scannedFiles.length === 0) {
         alert('No image files found in the selected folder.');
         showScreen('landing-screen');
         return;
     }
     
-    elements.loadingStatus.textContent = `Found ${photoFiles.length} photos. Preparing...`;
+    // RAW+JPEG pairs (DSC_1234.NEF + DSC_1234.JPG) become a single photo
+    const photoFiles = groupPhotoFiles(scannedFiles);
+    const pairedCount = photoFiles.filter(f => f.siblings.length > 0).length;
+    
+    elements.loadingStatus.textContent = pairedCount > 0
+        ? `Found ${photoFiles.length} photos (${pairedCount} RAW+JPEG pairs). Preparing...`
+        : `Found ${photoFiles.length} photos. Preparing...`;
     
     const totalPhotos = photoFiles.length;
     
@@ -792,7 +2133,7 @@ async function loadPhotosFromDirectory(dirHandle, skipCacheCheck = false) {
     }
     
     for (let i = 0; i < photoFiles.length; i++) {
-        const { handle, path } = photoFiles[i];
+        const { handle, path, siblings } = photoFiles[i];
         
         try {
             const cached = cachedPhotoData.get(path);
@@ -801,7 +2142,10 @@ async function loadPhotosFromDirectory(dirHandle, skipCacheCheck = false) {
                 name: handle.name,
                 path: path,
                 handle: handle,
+                siblings: siblings, // Other files sharing this basename (e.g. the RAW of a RAW+JPEG pair)
+                duplicates: [], // Other copies of this photo collapsed into it (see findExactDuplicateGroups)
                 elo: cached?.elo || ELO_DEFAULT,
+                glicko: cached?.glicko || createGlickoRating(),
                 comparisons: cached?.comparisons || 0
             };
             
@@ -825,21 +2169,58 @@ async function loadPhotosFromDirectory(dirHandle, skipCacheCheck = false) {
         return;
     }
     
+    // Read EXIF (capture time, camera, lens, exposure) for every photo
+    elements.loadingStatus.textContent = 'Reading photo metadata...';
+    elements.progressFill.style.width = '0%';
+    await loadPhotoMetadata(state.allPhotos, (count) => {
+        elements.progressFill.style.width = `${(count / state.allPhotos.length) * 100}%`;
+        elements.progressText.textContent = `${count} / ${state.allPhotos.length}`;
+    });
+    
+    // Exact copies (e.g. the same export in two folders) collapse into one photo; possible
+    // resized copies are only listed for review unless the user merged them before
+    state.keptDuplicatePaths = new Set(cachedSession?.keptDuplicatePaths || []);
+    state.separatedDuplicatePaths = new Set(cachedSession?.separatedDuplicatePaths || []);
+    state.mergedDuplicatePaths = new Set(cachedSession?.mergedDuplicatePaths || []);
+    elements.loadingStatus.textContent = 'Checking for duplicates...';
+    elements.progressFill.style.width = '0%';
+    elements.progressText.textContent = '';
+    await restoreMediaCache(state.allPhotos, { hashesOnly: true });
+    const showDuplicateProgress = (done, total) => {
+        elements.progressFill.style.width = `${(done / total) * 100}%`;
+        elements.progressText.textContent = `${done} / ${total}`;
+    };
+    const exactGroups = await findExactDuplicateGroups(state.allPhotos, showDuplicateProgress);
+    const collapsedCount = collapseDuplicateGroups(exactGroups);
+    if (collapsedCount > 0) {
+        console.log(`👯 Collapsed ${collapsedCount} duplicate files into ${exactGroups.length} photos`);
+    }
+    setResizedCopyGroups(await findResizedCopyGroups(state.allPhotos, false, showDuplicateProgress));
+    
     // Sort by filename (natural sort)
-    state.allPhotos.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    state.allPhotos.sort(compareFilenames);
     
     // Get settings (use cached if restoring)
     state.targetCount = cachedSession?.targetCount || parseInt(elements.targetCountInput.value) || 25;
+    state.cameraOffsets = cachedSession?.cameraOffsets || {};
     
     // Restore session state if we have a cache
     if (cachedSession) {
+        // Capture-time order must be re-applied before the saved swipe position means anything
+        state.photoOrder = cachedSession.photoOrder === 'capture' ? 'capture' : 'original';
+        if (state.photoOrder === 'capture') {
+            state.allPhotos = sortPhotosByCaptureTime(state.allPhotos);
+        }
         await restoreSession(cachedSession);
     } else {
         // Fresh start
-        state.shufflePhotos = elements.shufflePhotosSelect.value === 'shuffle';
-        if (state.shufflePhotos) {
+        state.photoOrder = elements.shufflePhotosSelect.value;
+        if (state.photoOrder === 'shuffle') {
             state.allPhotos = shuffleArray(state.allPhotos);
+        } else if (state.photoOrder === 'capture') {
+            state.allPhotos = sortPhotosByCaptureTime(state.allPhotos);
         }
+        await restoreMediaCache(state.allPhotos);
         startSelectionPhase();
     }
     
@@ -867,6 +2248,13 @@ async function restoreSession(cachedSession) {
     for (const photo of state.allPhotos) {
         photoByPath.set(photo.path, photo);
         photoByName.set(photo.name, photo);
+        
+        // Sessions saved before pairing may reference the RAW or JPEG half directly,
+        // and ones saved before duplicates were collapsed may reference any copy
+        for (const sibling of [...(photo.siblings || []), ...(photo.duplicates || [])]) {
+            if (!photoByPath.has(sibling.path)) photoByPath.set(sibling.path, photo);
+            if (!photoByName.has(sibling.name)) photoByName.set(sibling.name, photo);
+        }
     }
     
     // Restore selectedIds
@@ -880,21 +2268,67 @@ async function restoreSession(cachedSession) {
         }
     }
     
+    // Restore photos already judged in best-of-burst duels
+    state.seenIds.clear();
+    for (const path of cachedSession.seenPaths || []) {
+        const photo = photoByPath.get(path);
+        if (photo) state.seenIds.add(photo.id);
+    }
+    
     // Restore candidates with Elo ratings
     state.candidates = [];
     for (const cp of cachedSession.candidates || []) {
         const photo = photoByPath.get(cp.path) || photoByName.get(cp.name);
-        if (photo) {
+        if (photo && !state.candidates.includes(photo)) {
             photo.elo = cp.elo;
+            photo.glicko = cp.glicko || null;
             photo.comparisons = cp.comparisons;
             state.candidates.push(photo);
         }
     }
     
+    // Restore manual rotations
+    state.photoRotations.clear();
+    for (const [path, degrees] of Object.entries(cachedSession.rotations || {})) {
+        const photo = photoByPath.get(path);
+        if (photo && degrees) state.photoRotations.set(photo.id, degrees);
+    }
+    
+    // Cached fingerprints are stored per algorithm, so it's restored before them too
+    const fingerprintMethod = FINGERPRINT_METHODS[cachedSession.fingerprintMethod] ? cachedSession.fingerprintMethod : 'grayscale';
+    if (fingerprintMethod !== state.fingerprintMethod) {
+        state.fingerprintMethod = fingerprintMethod;
+        elements.fingerprintMethodSelect.value = fingerprintMethod;
+        updateClusterThresholdSlider();
+    }
+    
+    // Cached thumbnails/fingerprints (keys include the rotation, so this comes after it)
+    await restoreMediaCache(state.allPhotos);
+    
     // Restore other state
     state.swipeIndex = cachedSession.swipeIndex || 0;
     state.comparisonsCompleted = cachedSession.comparisonsCompleted || 0;
-    state.comparisonHistory = cachedSession.comparisonHistory || [];
+    state.comparisonHistory = mapHistoryPhotos(cachedSession.comparisonHistory || [], path => photoByPath.get(path)?.id);
+    state.redoStack = [];
+    state.rankingMode = RANKING_MODE_LABELS[cachedSession.rankingMode] ? cachedSession.rankingMode : 'rating';
+    state.insertionOrder = (cachedSession.insertionOrder || []).map(path => photoByPath.get(path)?.id).filter(Boolean);
+    state.bracketFormat = BRACKET_FORMAT_LABELS[cachedSession.bracketFormat] ? cachedSession.bracketFormat : 'single';
+    state.bracketSeeding = BRACKET_SEEDING_LABELS[cachedSession.bracketSeeding] ? cachedSession.bracketSeeding : 'rating';
+    // A bracket missing one of its seeds can't be replayed, so it's drawn again instead
+    const bracketSeeds = (cachedSession.bracket?.seeds || []).map(path => photoByPath.get(path)?.id);
+    state.bracket = cachedSession.bracket && bracketSeeds.every(Boolean)
+        ? { ...cachedSession.bracket, seeds: bracketSeeds }
+        : null;
+    state.rankingModel = RANKING_MODEL_LABELS[cachedSession.rankingModel] ? cachedSession.rankingModel : 'elo';
+    state.pairingStrategy = PAIRING_STRATEGY_LABELS[cachedSession.pairingStrategy] ? cachedSession.pairingStrategy : 'swiss';
+    state.groupSize = GROUP_SIZES.includes(cachedSession.groupSize) ? cachedSession.groupSize : 2;
+    state.autoFinishCertainty = cachedSession.autoFinishCertainty ?? 95;
+    
+    // Sessions saved before Glicko-2 ratings existed get them from the history
+    if (state.candidates.some(p => !p.glicko)) {
+        replayRatings();
+    }
+    prepareRankingMode();
     state.currentPhase = cachedSession.currentPhase || 'selection';
     
     // Restore final selection
@@ -930,6 +2364,34 @@ async function restoreSession(cachedSession) {
     }
 }
 
+// Group scanned files that share a basename in the same folder into one logical photo.
+// The primary (display) file is one the browser can decode natively when available;
+// the rest are kept as linked siblings so exports can still include them.
+function groupPhotoFiles(files) {
+    const groups = new Map();
+    for (const file of files) {
+        const dot = file.path.lastIndexOf('.');
+        const key = (dot > 0 ? file.path.slice(0, dot) : file.path).toLowerCase();
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(file);
+    }
+    
+    const grouped = [];
+    for (const group of groups.values()) {
+        const primary = group.find(f => /\.jpe?g$/i.test(f.path)) ||
+                        group.find(f => !isRawFile(f.path)) ||
+                        group[0];
+        grouped.push({
+            handle: primary.handle,
+            path: primary.path,
+            siblings: group
+                .filter(f => f !== primary)
+                .map(f => ({ name: f.handle.name, path: f.path, handle: f.handle }))
+        });
+    }
+    return grouped;
+}
+
 async function scanDirectory(dirHandle, results, currentPath, statusCallback = null) {
     for await (const entry of dirHandle.values()) {
         const entryPath = currentPath ? `${currentPath}/${entry.name}` : entry.name;
@@ -949,25 +2411,630 @@ async function scanDirectory(dirHandle, results, currentPath, statusCallback = n
 
 // Get or create URL for a photo (lazy loading)
 async function getPhotoUrl(photo) {
-    if (state.fullSizeCache.has(photo.id)) {
-        return state.fullSizeCache.get(photo.id);
+    const cached = getCachedFullSizeUrl(photo.id);
+    if (cached) return cached;
+    
+    // Swipe preloading and the view itself often ask for the same photo at once. A load
+    // started before a rotation would show the old orientation, so it isn't shared.
+    const rotation = state.photoRotations.get(photo.id) || 0;
+    const pending = fullSizeLoads.get(photo.id);
+    if (pending?.rotation === rotation) {
+        return pending.load;
+    }
+    
+    const load = (async () => {
+        const file = await getDisplayFile(photo);
+        const transform = getDisplayTransform(photo);
+        
+        // Only re-encode when the browser wouldn't show the image upright by itself
+        const blob = isIdentityTransform(transform)
+            ? file
+            : await createThumbnailBlob(file, ORIENTED_FULL_SIZE_MAX, transform, 0.92);
+        const url = URL.createObjectURL(blob);
+        if (!addToFullSizeCache(photo.id, url, blob.size, rotation)) {
+            return getPhotoUrl(photo); // Rotated while loading
+        }
+        return url;
+    })();
+    
+    const entry = { rotation, load };
+    fullSizeLoads.set(photo.id, entry);
+    try {
+        return await load;
+    } finally {
+        if (fullSizeLoads.get(photo.id) === entry) fullSizeLoads.delete(photo.id);
     }
+}
+
+// ============================================
+// Duplicates - Exact & Resized Copies
+// ============================================
+
+// Client phone exports and edited JPEGs often sit next to the originals. Exact copies
+// share a SHA-256 of their bytes (only files of equal size get hashed) and collapse into
+// one photo; the other copies are kept on photo.duplicates so the review modal can swap
+// which one is used.
+//
+// Resized copies share a pHash, but so do burst frames taken within the same second, so a
+// pHash match alone proves nothing. Two photos only count as possible resized copies if
+// one is also clearly smaller (other pixel dimensions, or a much smaller file), and even
+// then they are just listed for review: they stay separate photos until the user merges them.
+
+const DUPLICATE_PHASH_THRESHOLD = 4; // Max differing bits (of 64) between a photo and a resized copy
+const DUPLICATE_RESIZED_FILE_RATIO = 0.6; // Same pixel size: the copy must be at most this share of the larger file
+
+// Fields that say which file a photo object stands for (traded when the kept copy changes)
+const PHOTO_FILE_FIELDS = ['name', 'path', 'handle', 'siblings', 'fileSize', 'lastModified', 'exif', 'contentHash', 'perceptualHash', 'pixelSize'];
+
+async function getContentHash(photo) {
+    if (photo.contentHash) return photo.contentHash;
     
     const file = await photo.handle.getFile();
-    const url = URL.createObjectURL(file);
-    state.fullSizeCache.set(photo.id, url);
-    return url;
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    photo.contentHash = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    storeInMediaCache(photo, { contentHash: photo.contentHash });
+    return photo.contentHash;
 }
 
-// Create a thumbnail from a file
-async function createThumbnail(file, maxSize = 300) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        const url = URL.createObjectURL(file);
+// pHash of the upright image, whatever the clustering algorithm is (the decode also
+// records the pixel size)
+async function getPerceptualHash(photo) {
+    if (photo.perceptualHash) return photo.perceptualHash;
+    
+    try {
+        const file = await getDisplayFile(photo);
+        const analysis = await computeImageFingerprint(file, 'phash', getDisplayTransform(photo));
+        recordPhotoAnalysis(photo, 'phash', analysis);
+        return analysis.fingerprint;
+    } catch (err) {
+        console.warn(`Failed to hash ${photo.name}:`, err);
+        return null;
+    }
+}
+
+// Union-find over photo indices, returning the groups (2+ photos) it ends up with.
+// canJoin(rootA, rootB) can veto a merge.
+function createPhotoGroups(photos, canJoin = () => true) {
+    const parent = photos.map((_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]]; // Path halving
+            i = parent[i];
+        }
+        return i;
+    };
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA === rootB || !canJoin(rootA, rootB)) return;
+        parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+    };
+    const groups = () => {
+        const groupsByRoot = new Map();
+        photos.forEach((photo, i) => {
+            const root = find(i);
+            if (!groupsByRoot.has(root)) groupsByRoot.set(root, []);
+            groupsByRoot.get(root).push(photo);
+        });
+        return [...groupsByRoot.values()].filter(group => group.length > 1);
+    };
+    return { union, groups };
+}
+
+// Indices of photos sharing a key, in buckets of 2+
+function bucketPhotos(photos, keyOf) {
+    const buckets = new Map();
+    photos.forEach((photo, i) => {
+        const key = keyOf(photo);
+        if (key == null) return;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(i);
+    });
+    return [...buckets.values()].filter(group => group.length > 1);
+}
+
+// Groups (2+ photos) of byte-identical files
+async function findExactDuplicateGroups(photos, progressCallback = null) {
+    const { union, groups } = createPhotoGroups(photos);
+    const sizeGroups = bucketPhotos(photos, photo => photo.fileSize);
+    const total = sizeGroups.flat().length;
+    let done = 0;
+    
+    for (const group of sizeGroups) {
+        const firstByHash = new Map();
+        for (const i of group) {
+            try {
+                const hash = await getContentHash(photos[i]);
+                if (firstByHash.has(hash)) {
+                    union(firstByHash.get(hash), i);
+                } else {
+                    firstByHash.set(hash, i);
+                }
+            } catch (err) {
+                console.warn(`Failed to read ${photos[i].name}:`, err);
+            }
+            done++;
+            if (progressCallback && (done % 20 === 0 || done === total)) progressCallback(done, total);
+        }
+    }
+    
+    return groups();
+}
+
+function getPixelCount(photo) {
+    const [width, height] = (photo.pixelSize || '').split('×').map(Number);
+    return width * height || 0;
+}
+
+// Orders look-alike photos by size: the one with fewer pixels (or, at the same pixel size,
+// the smaller file) first
+function compareCopySize(photoA, photoB) {
+    return getPixelCount(photoA) - getPixelCount(photoB) || (photoA.fileSize || 0) - (photoB.fileSize || 0);
+}
+
+// True if one of two look-alike photos is a downscaled or recompressed copy of the other
+function looksResized(photoA, photoB) {
+    if (photoA.pixelSize && photoB.pixelSize && photoA.pixelSize !== photoB.pixelSize) return true;
+    
+    const sizes = [photoA.fileSize || 0, photoB.fileSize || 0].sort((a, b) => a - b);
+    return sizes[0] > 0 && sizes[0] <= sizes[1] * DUPLICATE_RESIZED_FILE_RATIO;
+}
+
+// Groups (2+ photos) of possible resized copies. By default only photos that share a
+// capture time with another are decoded for the pHash; thorough compares everything.
+async function findResizedCopyGroups(photos, thorough = false, progressCallback = null) {
+    // Capture time of each group (null while no member has one). Copies of one shot
+    // never disagree, so groups with different times are never joined - not even
+    // through a copy whose EXIF was stripped.
+    const groupTime = photos.map(photo => photo.exif?.captureTime ?? null);
+    const { union, groups } = createPhotoGroups(photos, (rootA, rootB) => {
+        if (groupTime[rootA] != null && groupTime[rootB] != null && groupTime[rootA] !== groupTime[rootB]) return false;
+        groupTime[Math.min(rootA, rootB)] = groupTime[rootA] ?? groupTime[rootB];
+        return true;
+    });
+    
+    const candidates = thorough
+        ? photos.map((_, i) => i)
+        : bucketPhotos(photos, photo => photo.exif?.captureTime).flat();
+    
+    // pHashes indexed by popcount, which bounds the Hamming distance
+    const indexed = [];
+    for (const [done, i] of candidates.entries()) {
+        const hash = await getPerceptualHash(photos[i]);
+        if (hash) {
+            let key = 0;
+            for (const byte of hash) key += POPCOUNT[byte];
+            indexed.push({ i, hash, key });
+        }
+        if (progressCallback && ((done + 1) % 20 === 0 || done + 1 === candidates.length)) {
+            progressCallback(done + 1, candidates.length);
+        }
+    }
+    indexed.sort((a, b) => a.key - b.key);
+    
+    // Each copy only joins its closest larger look-alike, so a small export that resembles
+    // two burst frames can't chain them into one group
+    const closestLarger = new Map(); // Photo index -> { i, distance }
+    const consider = (small, large, distance) => {
+        const best = closestLarger.get(small);
+        if (!best || distance < best.distance) closestLarger.set(small, { i: large, distance });
+    };
+    for (let a = 0; a < indexed.length; a++) {
+        for (let b = a + 1; b < indexed.length; b++) {
+            if (indexed[b].key - indexed[a].key > DUPLICATE_PHASH_THRESHOLD) break;
+            const photoA = photos[indexed[a].i];
+            const photoB = photos[indexed[b].i];
+            const distance = hammingDistance(indexed[a].hash, indexed[b].hash);
+            if (distance > DUPLICATE_PHASH_THRESHOLD || !looksResized(photoA, photoB)) continue;
+            
+            if (compareCopySize(photoA, photoB) < 0) {
+                consider(indexed[a].i, indexed[b].i, distance);
+            } else {
+                consider(indexed[b].i, indexed[a].i, distance);
+            }
+        }
+    }
+    for (const [small, large] of closestLarger) union(small, large.i);
+    
+    return groups();
+}
+
+// Keep the possible resized copies for review. Groups the user merged earlier collapse
+// right away, groups marked "not duplicates" are dropped.
+function setResizedCopyGroups(groups) {
+    const open = groups.filter(group => !group.some(p => state.separatedDuplicatePaths.has(p.path)));
+    const merged = open.filter(group => group.every(p => state.mergedDuplicatePaths.has(p.path)));
+    collapseDuplicateGroups(merged);
+    state.resizedCopyGroups = open.filter(group => !merged.includes(group));
+}
+
+// The user's choice if they made one, else the largest file (the original rather
+// than a resized export), then the shallowest path
+function pickDuplicateKeeper(group) {
+    return group.find(p => state.keptDuplicatePaths.has(p.path)) ||
+        [...group].sort((a, b) =>
+            (b.fileSize || 0) - (a.fileSize || 0) ||
+            a.path.split('/').length - b.path.split('/').length ||
+            compareFilenames(a, b)
+        )[0];
+}
+
+// Fold each group into its keeper and drop the other copies from state.allPhotos.
+// Groups the user marked as "not duplicates" are left alone. Returns the number removed.
+function collapseDuplicateGroups(groups) {
+    const removed = new Set();
+    
+    for (const group of groups) {
+        if (group.some(p => state.separatedDuplicatePaths.has(p.path))) continue;
+        
+        const keeper = pickDuplicateKeeper(group);
+        for (const photo of group) {
+            if (photo === keeper) continue;
+            
+            keeper.duplicates.push(photo, ...photo.duplicates);
+            photo.duplicates = [];
+            removed.add(photo);
+            
+            // A selection made on any copy carries over to the one that's kept
+            if (state.selectedIds.delete(photo.id)) state.selectedIds.add(keeper.id);
+            if (state.seenIds.delete(photo.id)) state.seenIds.add(keeper.id);
+        }
+    }
+    
+    if (removed.size > 0) {
+        const currentPhoto = state.allPhotos[state.swipeIndex];
+        state.allPhotos = state.allPhotos.filter(p => !removed.has(p));
+        state.swipeIndex = Math.max(0, state.allPhotos.indexOf(currentPhoto));
+    }
+    return removed.size;
+}
+
+// Per-file data follows the file when two photo objects trade files
+function swapPhotoCaches(idA, idB) {
+    cancelThumbnails([idA, idB]);
+    removeFromFullSizeCache(idA);
+    removeFromFullSizeCache(idB);
+    
+    const caches = [
+        state.thumbnailCache, state.rawPreviewCache, state.photoRotations,
+        state.clusterFingerprints, state.photoSharpness, state.photoExposure
+    ];
+    for (const cache of caches) {
+        const a = cache.get(idA);
+        const b = cache.get(idB);
+        cache.delete(idA);
+        cache.delete(idB);
+        if (b !== undefined) cache.set(idA, b);
+        if (a !== undefined) cache.set(idB, a);
+    }
+}
+
+function getDuplicateGroupCount() {
+    return state.allPhotos.filter(p => p.duplicates.length > 0).length + state.resizedCopyGroups.length;
+}
+
+function updateDuplicatesButton() {
+    const count = getDuplicateGroupCount();
+    elements.duplicatesBtn.textContent = count > 0 ? `👯 Duplicates (${count})` : '👯 Duplicates';
+}
+
+function openDuplicatesModal() {
+    renderDuplicateGroups();
+    elements.duplicatesModal.classList.remove('hidden');
+}
+
+function closeDuplicatesModal() {
+    elements.duplicatesModal.classList.add('hidden');
+}
+
+function renderDuplicateGroups() {
+    const groups = state.allPhotos.filter(p => p.duplicates.length > 0);
+    const resizedGroups = state.resizedCopyGroups;
+    const summary = [];
+    if (groups.length > 0) {
+        summary.push(`${groups.length} photos have other copies (${groups.reduce((n, p) => n + p.duplicates.length, 0)} files hidden). Click a copy to use it instead.`);
+    }
+    if (resizedGroups.length > 0) {
+        summary.push(`${resizedGroups.length} groups look like resized copies but are still shown separately. Click the copy to keep to merge a group.`);
+    }
+    elements.duplicatesSummary.textContent = summary.length > 0 ? summary.join(' ') : 'No duplicates found.';
+    
+    const resizedHtml = resizedGroups.map((group, index) => `
+        <div class="duplicate-group possible">
+            <div class="duplicate-group-header">
+                <span>${group.length} possible copies</span>
+                <button class="control-btn duplicate-dismiss-btn" data-group="${index}" title="Stop listing these photos as copies">Not duplicates</button>
+            </div>
+            <div class="duplicate-copies">
+                ${group.map(copy => `
+                    <div class="duplicate-copy" data-group="${index}" data-copy-id="${copy.id}" title="Keep this copy and hide the others">
+                        <img src="${state.thumbnailCache.get(copy.id) || ''}" alt="${escapeHtml(copy.name)}">
+                        <span class="duplicate-copy-path" title="${escapeHtml(copy.path)}">${escapeHtml(copy.path)}</span>
+                        <span class="duplicate-copy-meta">
+                            ${formatBytes(copy.fileSize || 0)}${copy.pixelSize ? ` • ${copy.pixelSize}` : ''}
+                        </span>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+    
+    elements.duplicateGroupsList.innerHTML = resizedHtml + groups.map(photo => `
+        <div class="duplicate-group">
+            <div class="duplicate-group-header">
+                <span>${photo.duplicates.length + 1} copies</span>
+                <button class="control-btn duplicate-separate-btn" data-id="${photo.id}" title="Show every copy as its own photo">Not duplicates</button>
+            </div>
+            <div class="duplicate-copies">
+                ${[photo, ...photo.duplicates].map(copy => `
+                    <div class="duplicate-copy ${copy === photo ? 'kept' : ''}" data-id="${photo.id}" data-copy-id="${copy.id}">
+                        <img src="${state.thumbnailCache.get(copy.id) || ''}" alt="${escapeHtml(copy.name)}">
+                        <span class="duplicate-copy-path" title="${escapeHtml(copy.path)}">${escapeHtml(copy.path)}</span>
+                        <span class="duplicate-copy-meta">
+                            ${formatBytes(copy.fileSize || 0)} •
+                            ${copy === photo ? 'Kept' : copy.contentHash && copy.contentHash === photo.contentHash ? 'Exact copy' : 'Resized copy'}
+                        </span>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+    
+    for (const copy of [...resizedGroups.flat(), ...groups.flatMap(p => [p, ...p.duplicates])]) {
+        if (state.thumbnailCache.has(copy.id)) continue;
+        
+        getThumbnail(copy).then(url => {
+            const img = elements.duplicateGroupsList.querySelector(`[data-copy-id="${copy.id}"] img`);
+            if (img && url) img.src = url;
+        });
+    }
+}
+
+// Use another copy for a collapsed photo. The photo object (and with it selection,
+// ratings and history) stays; only the file it points at changes.
+function keepDuplicateCopy(photoId, copyId) {
+    const photo = state.allPhotos.find(p => p.id === photoId);
+    const copy = photo?.duplicates.find(p => p.id === copyId);
+    if (!copy) return;
+    
+    for (const field of PHOTO_FILE_FIELDS) {
+        [photo[field], copy[field]] = [copy[field], photo[field]];
+    }
+    swapPhotoCaches(photo.id, copy.id);
+    
+    for (const p of [photo, ...photo.duplicates]) state.keptDuplicatePaths.delete(p.path);
+    state.keptDuplicatePaths.add(photo.path);
+    
+    scheduleSave();
+    renderDuplicateGroups();
+    refreshSelectionView();
+}
+
+// Show every copy of a group as its own photo again (remembered for next time)
+function separateDuplicateGroup(photoId) {
+    const photo = state.allPhotos.find(p => p.id === photoId);
+    if (!photo || photo.duplicates.length === 0) return;
+    
+    const copies = photo.duplicates;
+    photo.duplicates = [];
+    for (const p of [photo, ...copies]) {
+        state.separatedDuplicatePaths.add(p.path);
+        state.keptDuplicatePaths.delete(p.path);
+        state.mergedDuplicatePaths.delete(p.path);
+    }
+    
+    const currentPhoto = state.allPhotos[state.swipeIndex];
+    state.allPhotos.splice(state.allPhotos.indexOf(photo) + 1, 0, ...copies);
+    state.swipeIndex = Math.max(0, state.allPhotos.indexOf(currentPhoto));
+    
+    // Clusters were built without these photos
+    state.clusters = [];
+    state.expandedClusters.clear();
+    
+    scheduleSave();
+    renderDuplicateGroups();
+    updateDuplicatesButton();
+    refreshSelectionView();
+}
+
+// Merge a group of possible resized copies into the chosen one (remembered for next time)
+function mergeResizedCopies(groupIndex, keepId) {
+    const group = state.resizedCopyGroups[groupIndex];
+    const keeper = group?.find(p => p.id === keepId);
+    if (!keeper) return;
+    
+    for (const p of group) {
+        state.mergedDuplicatePaths.add(p.path);
+        state.keptDuplicatePaths.delete(p.path);
+    }
+    state.keptDuplicatePaths.add(keeper.path);
+    state.resizedCopyGroups.splice(groupIndex, 1);
+    collapseDuplicateGroups([group]);
+    
+    // Clusters were built with the hidden copies
+    state.clusters = [];
+    state.expandedClusters.clear();
+    
+    scheduleSave();
+    renderDuplicateGroups();
+    refreshSelectionView();
+}
+
+// Stop listing a group of look-alikes as possible copies (remembered for next time)
+function dismissResizedCopies(groupIndex) {
+    const group = state.resizedCopyGroups[groupIndex];
+    if (!group) return;
+    
+    for (const p of group) state.separatedDuplicatePaths.add(p.path);
+    state.resizedCopyGroups.splice(groupIndex, 1);
+    
+    scheduleSave();
+    renderDuplicateGroups();
+    updateDuplicatesButton();
+}
+
+// The automatic pass only decodes photos that share a capture time; this one decodes
+// everything, catching copies whose EXIF was stripped (e.g. messenger exports)
+async function scanAllForDuplicates() {
+    const count = state.allPhotos.length;
+    if (!confirm(`Compare all ${count} photos for resized copies? Photos that haven't been analyzed yet are decoded once, which can take a while.`)) {
+        return;
+    }
+    
+    closeDuplicatesModal();
+    elements.loadingStatus.textContent = 'Looking for resized copies...';
+    elements.progressFill.style.width = '0%';
+    elements.progressText.textContent = '';
+    showScreen('loading-screen');
+    
+    const groups = await findResizedCopyGroups(state.allPhotos, true, (done, total) => {
+        elements.progressFill.style.width = `${(done / total) * 100}%`;
+        elements.progressText.textContent = `${done} / ${total}`;
+    });
+    setResizedCopyGroups(groups);
+    
+    fingerprintCanvas = null;
+    fingerprintCtx = null;
+    analysisCanvas = null;
+    analysisCtx = null;
+    showScreen('selection-screen');
+    
+    updateDuplicatesButton();
+    refreshSelectionView();
+    openDuplicatesModal();
+}
+
+// ============================================
+// Full-Size Image Cache - Byte-Budgeted LRU
+// ============================================
+
+// Full-size object URLs keep their (often 20-30 MB) files alive, so the cache is
+// bounded by total bytes. Least recently used URLs are revoked first; whatever is
+// on screen or about to be (swipe neighbours, the ranking pair) is pinned.
+
+const FULL_SIZE_CACHE_BUDGET = 512 * 1024 * 1024;
+
+let fullSizeCacheBytes = 0;
+const fullSizeLoads = new Map(); // Photo ID -> { rotation, load }: in-flight getPhotoUrl() promise
+
+// Cached URL for a photo, marking it most recently used
+function getCachedFullSizeUrl(photoId) {
+    const entry = state.fullSizeCache.get(photoId);
+    if (!entry) return null;
+    
+    // Map keeps insertion order, so re-inserting moves it to the most recent end
+    state.fullSizeCache.delete(photoId);
+    state.fullSizeCache.set(photoId, entry);
+    return entry.url;
+}
+
+// Cache a URL rendered at the given rotation. If the photo has been rotated since, the URL
+// is revoked instead and false is returned.
+function addToFullSizeCache(photoId, url, bytes, rotation) {
+    if (rotation !== (state.photoRotations.get(photoId) || 0)) {
+        URL.revokeObjectURL(url);
+        return false;
+    }
+    
+    removeFromFullSizeCache(photoId);
+    state.fullSizeCache.set(photoId, { url, bytes });
+    fullSizeCacheBytes += bytes;
+    evictFullSizeCache();
+    return true;
+}
+
+function removeFromFullSizeCache(photoId) {
+    const entry = state.fullSizeCache.get(photoId);
+    if (!entry) return;
+    
+    URL.revokeObjectURL(entry.url);
+    state.fullSizeCache.delete(photoId);
+    fullSizeCacheBytes -= entry.bytes;
+    renderDebugPanel();
+}
+
+function clearFullSizeCache() {
+    state.fullSizeCache.forEach(entry => URL.revokeObjectURL(entry.url));
+    state.fullSizeCache.clear();
+    fullSizeCacheBytes = 0;
+    renderDebugPanel();
+}
+
+// Photos whose full-size image is on screen or next up
+function getPinnedPhotoIds() {
+    const pinned = new Set();
+    
+    if (state.allPhotos.length > 0) {
+        // Same window as preloadAdjacentSwipeImages()
+        for (let i = state.swipeIndex - 1; i <= state.swipeIndex + 2; i++) {
+            if (state.allPhotos[i]) pinned.add(state.allPhotos[i].id);
+        }
+    }
+    for (const photo of state.currentPair || []) {
+        pinned.add(photo.id);
+    }
+    if (viewerPhotoId) pinned.add(viewerPhotoId);
+    if (burstDuel) {
+        pinned.add(burstDuel.champion.id);
+        pinned.add(burstDuel.challenger.id);
+    }
+    
+    return pinned;
+}
+
+// Revoke least recently used URLs until the cache fits its budget (pinned ones are kept)
+function evictFullSizeCache() {
+    if (fullSizeCacheBytes > FULL_SIZE_CACHE_BUDGET) {
+        const pinned = getPinnedPhotoIds();
+        for (const photoId of [...state.fullSizeCache.keys()]) {
+            if (fullSizeCacheBytes <= FULL_SIZE_CACHE_BUDGET) break;
+            if (!pinned.has(photoId)) removeFromFullSizeCache(photoId);
+        }
+    }
+    renderDebugPanel();
+}
+
+// Cache usage overlay (toggle with the ` key)
+function renderDebugPanel() {
+    if (elements.debugPanel.classList.contains('hidden')) return;
+    
+    const pinned = getPinnedPhotoIds();
+    const pinnedCached = [...pinned].filter(id => state.fullSizeCache.has(id)).length;
+    const percent = Math.round((fullSizeCacheBytes / FULL_SIZE_CACHE_BUDGET) * 100);
+    
+    elements.debugPanel.innerHTML = `
+        <div class="debug-panel-title">Cache usage</div>
+        <div class="debug-panel-row"><span>Full-size</span><span>${formatBytes(fullSizeCacheBytes)} / ${formatBytes(FULL_SIZE_CACHE_BUDGET)} (${percent}%)</span></div>
+        <div class="debug-panel-bar"><div class="debug-panel-bar-fill" style="width: ${Math.min(100, percent)}%"></div></div>
+        <div class="debug-panel-row"><span>Full-size images</span><span>${state.fullSizeCache.size} (${pinnedCached} pinned)</span></div>
+        <div class="debug-panel-row"><span>Loading</span><span>${fullSizeLoads.size}</span></div>
+        <div class="debug-panel-row"><span>Thumbnails</span><span>${state.thumbnailCache.size}</span></div>
+        <div class="debug-panel-row"><span>RAW previews</span><span>${state.rawPreviewCache.size}</span></div>
+    `;
+}
+
+function toggleDebugPanel() {
+    elements.debugPanel.classList.toggle('hidden');
+    renderDebugPanel();
+}
+
+// Create a thumbnail from a file, applying an orientation transform if given
+async function createThumbnail(file, maxSize = 300, transform = IDENTITY_TRANSFORM, quality = 0.7) {
+    const blob = await createThumbnailBlob(file, maxSize, transform, quality);
+    return URL.createObjectURL(blob);
+}
+
+// Main-thread decode + resize into a JPEG Blob (the worker pool does the same off-thread)
+async function createThumbnailBlob(file, maxSize = 300, transform = IDENTITY_TRANSFORM, quality = 0.7) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        const url = URL.createObjectURL(file);
         
         img.onload = () => {
-            let width = img.width;
-            let height = img.height;
+            // Rotating by 90°/270° swaps the output dimensions
+            const swap = transform.rotate % 180 !== 0;
+            let width = swap ? img.height : img.width;
+            let height = swap ? img.width : img.height;
             
             // Calculate thumbnail size
             if (width > height) {
@@ -987,16 +3054,16 @@ async function createThumbnail(file, maxSize = 300) {
             canvas.height = height;
             
             const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0, width, height);
+            drawImageOriented(ctx, img, transform, width, height);
             
             canvas.toBlob(blob => {
                 URL.revokeObjectURL(url); // Free the full-size blob
                 if (blob) {
-                    resolve(URL.createObjectURL(blob));
+                    resolve(blob);
                 } else {
                     reject(new Error('Failed to create thumbnail'));
                 }
-            }, 'image/jpeg', 0.7);
+            }, 'image/jpeg', quality);
         };
         
         img.onerror = () => {
@@ -1008,38 +3075,967 @@ async function createThumbnail(file, maxSize = 300) {
     });
 }
 
-// Get or create thumbnail (lazy, cached)
-async function getThumbnail(photo) {
-    if (state.thumbnailCache.has(photo.id)) {
-        return state.thumbnailCache.get(photo.id);
-    }
+// Get or create thumbnail (lazy, cached)
+async function getThumbnail(photo, priority = THUMB_PRIORITY_VISIBLE) {
+    if (state.thumbnailCache.has(photo.id)) {
+        return state.thumbnailCache.get(photo.id);
+    }
+    
+    return requestThumbnail(photo, priority);
+}
+
+// Preload thumbnails for a batch of photos (the pipeline limits concurrency)
+async function preloadThumbnails(photos, priority = THUMB_PRIORITY_VISIBLE) {
+    const results = new Map();
+    
+    await Promise.all(photos.map(async (photo) => {
+        const url = await getThumbnail(photo, priority);
+        results.set(photo.id, url);
+    }));
+    
+    return results;
+}
+
+// ============================================
+// Thumbnail Pipeline - Worker Pool & Priority Queue
+// ============================================
+
+// Decoding and resizing happen in workers (createImageBitmap + OffscreenCanvas).
+// Requests are served visible-first, then adjacent pages, then everything else,
+// and queued requests can be cancelled once their photos scroll out of view.
+
+const THUMB_PRIORITY_VISIBLE = 0;
+const THUMB_PRIORITY_ADJACENT = 1;
+const THUMB_PRIORITY_BACKGROUND = 2;
+
+const THUMBNAIL_SIZE = 300;
+const THUMBNAIL_QUALITY = 0.7;
+const THUMBNAIL_WORKER_COUNT = Math.min(4, Math.max(1, (navigator.hardwareConcurrency || 4) - 1));
+
+const thumbnailPipeline = {
+    workers: [], // { worker, busy }
+    useWorkers: typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined',
+    buckets: [[], [], []], // One FIFO queue per priority level
+    jobs: new Map(), // Photo ID -> queued or in-flight job
+    inFlight: 0,
+    nextJobId: 0,
+    pending: new Map(), // Worker job ID -> job
+    generation: 0 // Bumped per folder: photo IDs are reused, so older results are dropped
+};
+
+// Request a thumbnail. Resolves to an object URL, or null if it failed or was cancelled.
+function requestThumbnail(photo, priority = THUMB_PRIORITY_VISIBLE) {
+    const existing = thumbnailPipeline.jobs.get(photo.id);
+    if (existing) {
+        // Already queued: move it up if this request is more urgent
+        if (!existing.started && priority < existing.priority) {
+            existing.priority = priority;
+            thumbnailPipeline.buckets[priority].push(existing);
+        }
+        return existing.promise;
+    }
+    
+    const job = { photo, priority, generation: thumbnailPipeline.generation, started: false, cancelled: false, resolve: null };
+    job.promise = new Promise(resolve => {
+        job.resolve = resolve;
+    });
+    
+    thumbnailPipeline.jobs.set(photo.id, job);
+    thumbnailPipeline.buckets[priority].push(job);
+    pumpThumbnailQueue();
+    
+    return job.promise;
+}
+
+// Cancel queued (not yet started) requests, e.g. for photos that left the viewport
+function cancelThumbnails(photoIds) {
+    for (const id of photoIds) {
+        const job = thumbnailPipeline.jobs.get(id);
+        if (job && !job.started) {
+            job.cancelled = true;
+            thumbnailPipeline.jobs.delete(id);
+            job.resolve(null);
+        }
+    }
+}
+
+// Drop everything queued or running (used when a new folder is loaded). Running jobs still
+// finish, but their results belong to the old folder and are thrown away.
+function cancelAllThumbnails() {
+    thumbnailPipeline.generation++;
+    for (const job of thumbnailPipeline.jobs.values()) {
+        job.cancelled = true;
+        job.resolve(null);
+    }
+    thumbnailPipeline.jobs.clear();
+    thumbnailPipeline.buckets = [[], [], []];
+}
+
+// Next job by priority. Stale bucket entries (re-prioritized or cancelled) are skipped.
+function takeNextThumbnailJob() {
+    const { buckets } = thumbnailPipeline;
+    for (let priority = 0; priority < buckets.length; priority++) {
+        const bucket = buckets[priority];
+        while (bucket.length > 0) {
+            const job = bucket.shift();
+            if (!job.cancelled && !job.started && job.priority === priority) {
+                return job;
+            }
+        }
+    }
+    return null;
+}
+
+function getThumbnailWorker() {
+    let slot = thumbnailPipeline.workers.find(w => !w.busy);
+    if (slot) return slot;
+    if (thumbnailPipeline.workers.length >= THUMBNAIL_WORKER_COUNT) return null;
+    
+    const worker = new Worker(new URL('./thumbnail-worker.js', import.meta.url));
+    slot = { worker, busy: false };
+    worker.onmessage = (event) => handleThumbnailWorkerMessage(slot, event.data);
+    worker.onerror = (event) => {
+        // Worker couldn't start (e.g. opened from file://) - fall back to the main thread
+        console.warn('Thumbnail worker failed, using main thread instead:', event.message);
+        event.preventDefault();
+        thumbnailPipeline.useWorkers = false;
+        for (const job of thumbnailPipeline.pending.values()) {
+            runThumbnailJobOnMainThread(job);
+        }
+        thumbnailPipeline.pending.clear();
+    };
+    thumbnailPipeline.workers.push(slot);
+    return slot;
+}
+
+function pumpThumbnailQueue() {
+    // Without workers, keep a couple of decodes going on the main thread
+    const limit = thumbnailPipeline.useWorkers ? THUMBNAIL_WORKER_COUNT : 2;
+    
+    while (thumbnailPipeline.inFlight < limit) {
+        const slot = thumbnailPipeline.useWorkers ? getThumbnailWorker() : null;
+        if (thumbnailPipeline.useWorkers && !slot) return;
+        
+        const job = takeNextThumbnailJob();
+        if (!job) return;
+        
+        job.started = true;
+        thumbnailPipeline.inFlight++;
+        
+        if (slot) {
+            runThumbnailJobInWorker(job, slot);
+        } else {
+            runThumbnailJobOnMainThread(job);
+        }
+    }
+}
+
+async function runThumbnailJobInWorker(job, slot) {
+    slot.busy = true;
+    try {
+        // File access and RAW preview extraction are cheap; decoding happens in the worker
+        const file = await getDisplayFile(job.photo);
+        if (!thumbnailPipeline.useWorkers) {
+            // Workers failed while the file was being read
+            runThumbnailJobOnMainThread(job);
+            return;
+        }
+        const workerJobId = thumbnailPipeline.nextJobId++;
+        job.slot = slot;
+        thumbnailPipeline.pending.set(workerJobId, job);
+        slot.worker.postMessage({
+            id: workerJobId,
+            file,
+            maxSize: THUMBNAIL_SIZE,
+            transform: getDisplayTransform(job.photo),
+            quality: THUMBNAIL_QUALITY
+        });
+    } catch (err) {
+        slot.busy = false;
+        finishThumbnailJob(job, null, err);
+    }
+}
+
+function handleThumbnailWorkerMessage(slot, { id, blob, error }) {
+    slot.busy = false;
+    const job = thumbnailPipeline.pending.get(id);
+    thumbnailPipeline.pending.delete(id);
+    if (!job) return;
+    
+    finishThumbnailJob(job, blob || null, error);
+}
+
+async function runThumbnailJobOnMainThread(job) {
+    if (job.slot) job.slot.busy = false;
+    try {
+        const file = await getDisplayFile(job.photo);
+        const blob = await createThumbnailBlob(file, THUMBNAIL_SIZE, getDisplayTransform(job.photo), THUMBNAIL_QUALITY);
+        finishThumbnailJob(job, blob, null);
+    } catch (err) {
+        finishThumbnailJob(job, null, err);
+    }
+}
+
+function finishThumbnailJob(job, blob, error) {
+    thumbnailPipeline.inFlight--;
+    if (thumbnailPipeline.jobs.get(job.photo.id) === job) {
+        thumbnailPipeline.jobs.delete(job.photo.id);
+    }
+    if (job.generation !== thumbnailPipeline.generation) {
+        pumpThumbnailQueue();
+        return;
+    }
+    
+    const url = blob ? URL.createObjectURL(blob) : null;
+    if (url) {
+        state.thumbnailCache.set(job.photo.id, url);
+        storeInMediaCache(job.photo, { thumbnail: blob });
+    } else {
+        console.warn(`Failed to create thumbnail for ${job.photo.name}:`, error);
+    }
+    
+    job.resolve(url);
+    pumpThumbnailQueue();
+}
+
+// ============================================
+// RAW Files - Embedded JPEG Previews
+// ============================================
+
+// Browsers can't decode RAW sensor data, but CR2, NEF, ARW (and most other
+// TIFF-based RAW formats) embed one or more full JPEG previews. We walk the
+// TIFF/IFD structure, pick the largest embedded JPEG and hand that to <img>.
+
+const RAW_EXTENSIONS = ['.raw', '.cr2', '.nef', '.arw'];
+
+// TIFF tags used to locate embedded previews
+const TIFF_TAG_COMPRESSION = 0x0103;
+const TIFF_TAG_STRIP_OFFSETS = 0x0111;
+const TIFF_TAG_STRIP_BYTE_COUNTS = 0x0117;
+const TIFF_TAG_SUB_IFDS = 0x014A;
+const TIFF_TAG_JPEG_OFFSET = 0x0201;
+const TIFF_TAG_JPEG_LENGTH = 0x0202;
+const TIFF_TAG_JPG_FROM_RAW = 0x002E; // Panasonic .raw / .rw2
+const TIFF_TAG_CR2_SLICE = 0xC5D8; // Marks the CR2 IFD holding the lossless-JPEG sensor data
+
+// Start-of-frame markers of JPEGs a browser can decode (baseline, extended, progressive)
+const JPEG_DECODABLE_FRAMES = [0xFFC0, 0xFFC1, 0xFFC2];
+
+// Byte size of each TIFF field type (BYTE, ASCII, SHORT, LONG, RATIONAL, ...)
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+function isRawFile(filename) {
+    const lower = filename.toLowerCase();
+    return RAW_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
+
+// Read a byte range of a file without loading the whole thing into memory
+async function readFileBytes(file, offset, length) {
+    const buffer = await file.slice(offset, offset + length).arrayBuffer();
+    return new DataView(buffer);
+}
+
+// Parse the 8-byte TIFF header. Returns null if this isn't a TIFF structure.
+async function readTiffHeader(file, base = 0) {
+    const view = await readFileBytes(file, base, 8);
+    if (view.byteLength < 8) return null;
+    
+    const order = view.getUint16(0);
+    let littleEndian;
+    if (order === 0x4949) littleEndian = true;       // "II"
+    else if (order === 0x4D4D) littleEndian = false; // "MM"
+    else return null;
+    
+    // 42 = standard TIFF (CR2/NEF/ARW), 0x55 = Panasonic RW2, "RO"/"RS" = Olympus ORF
+    const magic = view.getUint16(2, littleEndian);
+    if (magic !== 42 && magic !== 0x55 && magic !== 0x4F52 && magic !== 0x5352) return null;
+    
+    return {
+        littleEndian,
+        firstIfdOffset: view.getUint32(4, littleEndian)
+    };
+}
+
+// Read one IFD. Offsets are relative to `base` (the TIFF header position).
+async function readTiffIfd(file, offset, littleEndian, base = 0) {
+    const countView = await readFileBytes(file, base + offset, 2);
+    if (countView.byteLength < 2) return null;
+    
+    const count = countView.getUint16(0, littleEndian);
+    if (count === 0 || count > 1000) return null; // Corrupt or not an IFD
+    
+    const view = await readFileBytes(file, base + offset + 2, count * 12 + 4);
+    if (view.byteLength < count * 12 + 4) return null;
+    
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        const pos = i * 12;
+        const tag = view.getUint16(pos, littleEndian);
+        const type = view.getUint16(pos + 2, littleEndian);
+        const valueCount = view.getUint32(pos + 4, littleEndian);
+        const byteLength = (TIFF_TYPE_SIZES[type] || 1) * valueCount;
+        
+        entries.set(tag, {
+            type,
+            count: valueCount,
+            // Values of 4 bytes or less are stored inline in the entry
+            inline: byteLength <= 4 ? new DataView(view.buffer, pos + 8, 4) : null,
+            valueOffset: view.getUint32(pos + 8, littleEndian)
+        });
+    }
+    
+    return {
+        entries,
+        nextIfdOffset: view.getUint32(count * 12, littleEndian)
+    };
+}
+
+// Decode the values of an IFD entry (numbers for SHORT/LONG/RATIONAL, string for ASCII)
+async function readTiffValues(file, entry, littleEndian, base = 0) {
+    if (!entry) return null;
+    
+    const size = TIFF_TYPE_SIZES[entry.type] || 1;
+    const view = entry.inline || await readFileBytes(file, base + entry.valueOffset, size * entry.count);
+    const count = Math.min(entry.count, Math.floor(view.byteLength / size));
+    
+    if (entry.type === 2) {
+        let str = '';
+        for (let i = 0; i < count; i++) {
+            const code = view.getUint8(i);
+            if (code === 0) break;
+            str += String.fromCharCode(code);
+        }
+        return str.trim();
+    }
+    
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        const pos = i * size;
+        switch (entry.type) {
+            case 3: values.push(view.getUint16(pos, littleEndian)); break;
+            case 8: values.push(view.getInt16(pos, littleEndian)); break;
+            case 4: values.push(view.getUint32(pos, littleEndian)); break;
+            case 9: values.push(view.getInt32(pos, littleEndian)); break;
+            case 5: {
+                const den = view.getUint32(pos + 4, littleEndian);
+                values.push(den ? view.getUint32(pos, littleEndian) / den : 0);
+                break;
+            }
+            case 10: {
+                const den = view.getInt32(pos + 4, littleEndian);
+                values.push(den ? view.getInt32(pos, littleEndian) / den : 0);
+                break;
+            }
+            case 6: values.push(view.getInt8(pos)); break;
+            default: values.push(view.getUint8(pos));
+        }
+    }
+    return values;
+}
+
+// Walk every IFD (main chain plus SubIFDs) and collect embedded JPEG candidates
+async function findRawJpegCandidates(file) {
+    const header = await readTiffHeader(file);
+    if (!header) return [];
+    
+    const { littleEndian } = header;
+    const candidates = [];
+    const visited = new Set();
+    const queue = [header.firstIfdOffset];
+    
+    while (queue.length > 0 && visited.size < 32) {
+        const offset = queue.shift();
+        if (!offset || visited.has(offset) || offset >= file.size) continue;
+        visited.add(offset);
+        
+        const ifd = await readTiffIfd(file, offset, littleEndian);
+        if (!ifd) continue;
+        const { entries } = ifd;
+        
+        // JPEGInterchangeFormat / JPEGInterchangeFormatLength (ARW, NEF, CR2 IFD1)
+        if (entries.has(TIFF_TAG_JPEG_OFFSET) && entries.has(TIFF_TAG_JPEG_LENGTH)) {
+            const [start] = await readTiffValues(file, entries.get(TIFF_TAG_JPEG_OFFSET), littleEndian);
+            const [length] = await readTiffValues(file, entries.get(TIFF_TAG_JPEG_LENGTH), littleEndian);
+            candidates.push({ offset: start, length });
+        }
+        
+        // Single-strip JPEG-compressed image (CR2 IFD0 full-size preview)
+        const compression = entries.has(TIFF_TAG_COMPRESSION)
+            ? (await readTiffValues(file, entries.get(TIFF_TAG_COMPRESSION), littleEndian))[0]
+            : null;
+        const stripOffsets = entries.get(TIFF_TAG_STRIP_OFFSETS);
+        const stripCounts = entries.get(TIFF_TAG_STRIP_BYTE_COUNTS);
+        // CR2 sensor data has the same shape, but it's lossless JPEG that no browser decodes
+        if ((compression === 6 || compression === 7) && stripOffsets?.count === 1 && stripCounts?.count === 1 &&
+            !entries.has(TIFF_TAG_CR2_SLICE)) {
+            const [start] = await readTiffValues(file, stripOffsets, littleEndian);
+            const [length] = await readTiffValues(file, stripCounts, littleEndian);
+            candidates.push({ offset: start, length });
+        }
+        
+        // Panasonic stores the preview as an opaque byte blob
+        const jpgFromRaw = entries.get(TIFF_TAG_JPG_FROM_RAW);
+        if (jpgFromRaw && !jpgFromRaw.inline) {
+            candidates.push({ offset: jpgFromRaw.valueOffset, length: jpgFromRaw.count });
+        }
+        
+        if (entries.has(TIFF_TAG_SUB_IFDS)) {
+            const subIfds = await readTiffValues(file, entries.get(TIFF_TAG_SUB_IFDS), littleEndian);
+            queue.push(...(subIfds || []));
+        }
+        
+        queue.push(ifd.nextIfdOffset);
+    }
+    
+    return candidates.filter(c => c.length > 0 && c.offset + c.length <= file.size);
+}
+
+// Walk the JPEG's marker segments up to its start-of-frame marker. Returns the SOFn marker
+// (e.g. 0xFFC3 for lossless), or null if this isn't a JPEG.
+async function readJpegFrameMarker(file, offset, length) {
+    const soi = await readFileBytes(file, offset, 2);
+    if (soi.byteLength < 2 || soi.getUint16(0) !== 0xFFD8) return null;
+    
+    let pos = offset + 2;
+    const end = offset + length;
+    for (let segments = 0; segments < 64 && pos + 4 <= end; segments++) {
+        const view = await readFileBytes(file, pos, 4);
+        if (view.byteLength < 4 || view.getUint8(0) !== 0xFF) return null;
+        
+        const marker = view.getUint16(0);
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xFFC0 && marker <= 0xFFCF && ![0xFFC4, 0xFFC8, 0xFFCC].includes(marker)) return marker;
+        if (marker === 0xFFDA) return null; // Scan data before any frame header
+        pos += 2 + view.getUint16(2);
+    }
+    return null;
+}
+
+// Return the largest embedded JPEG preview as a Blob, or null if none was found
+async function extractRawPreview(file) {
+    const candidates = await findRawJpegCandidates(file);
+    candidates.sort((a, b) => b.length - a.length);
+    
+    for (const candidate of candidates) {
+        // Only a JPEG the browser can decode will do (not lossless sensor data)
+        const frame = await readJpegFrameMarker(file, candidate.offset, candidate.length);
+        if (JPEG_DECODABLE_FRAMES.includes(frame)) {
+            return file.slice(candidate.offset, candidate.offset + candidate.length, 'image/jpeg');
+        }
+    }
+    
+    return null;
+}
+
+// Get something the browser can actually decode for this photo.
+// Regular images return the file itself; RAW files return their embedded preview.
+async function getDisplayFile(photo) {
+    if (state.rawPreviewCache.has(photo.id)) {
+        return state.rawPreviewCache.get(photo.id).blob;
+    }
+    
+    const file = await photo.handle.getFile();
+    if (!isRawFile(photo.name)) return file;
+    
+    const generation = thumbnailPipeline.generation;
+    const preview = await extractRawPreview(file);
+    if (!preview) {
+        throw new Error(`No embedded preview found in ${photo.name}`);
+    }
+    
+    // Most previews carry no EXIF of their own, so the browser won't rotate them.
+    // If another folder was opened meanwhile, this photo's ID belongs to a different file.
+    const previewExif = await readExifMetadata(preview).catch(() => null);
+    if (generation === thumbnailPipeline.generation) {
+        state.rawPreviewCache.set(photo.id, { blob: preview, orientation: previewExif?.orientation || 1 });
+    }
+    return preview;
+}
+
+// ============================================
+// EXIF Metadata
+// ============================================
+
+const EXIF_TAG_MAKE = 0x010F;
+const EXIF_TAG_MODEL = 0x0110;
+const EXIF_TAG_ORIENTATION = 0x0112;
+const EXIF_TAG_DATE_TIME = 0x0132;
+const EXIF_TAG_EXIF_IFD = 0x8769;
+const EXIF_TAG_EXPOSURE_TIME = 0x829A;
+const EXIF_TAG_F_NUMBER = 0x829D;
+const EXIF_TAG_ISO = 0x8827;
+const EXIF_TAG_DATE_TIME_ORIGINAL = 0x9003;
+const EXIF_TAG_FOCAL_LENGTH = 0x920A;
+const EXIF_TAG_SUB_SEC_TIME_ORIGINAL = 0x9291;
+const EXIF_TAG_BODY_SERIAL = 0xA431;
+const EXIF_TAG_LENS_MODEL = 0xA434;
+
+// EXIF lives in the first few KB of a file, so read one chunk up front and serve
+// the parser's many small reads from memory. Only meant for readFileBytes().
+async function prefetchFileHead(file, headSize = 128 * 1024) {
+    const head = await file.slice(0, headSize).arrayBuffer();
+    return {
+        size: file.size,
+        slice(start, end) {
+            if (end <= head.byteLength) {
+                return { arrayBuffer: async () => head.slice(start, end) };
+            }
+            return file.slice(start, end);
+        }
+    };
+}
+
+// Find where the TIFF structure holding EXIF starts: inside the APP1 segment for
+// JPEGs, or at the very start for TIFF-based files (RAW, .tif). Null if none.
+async function findExifTiffBase(file) {
+    const soi = await readFileBytes(file, 0, 2);
+    if (soi.byteLength < 2) return null;
+    if (soi.getUint16(0) !== 0xFFD8) return 0;
+    
+    let pos = 2;
+    while (pos + 4 <= file.size) {
+        const segment = await readFileBytes(file, pos, 10);
+        if (segment.byteLength < 4 || segment.getUint8(0) !== 0xFF) return null;
+        
+        const marker = segment.getUint8(1);
+        if (marker === 0xDA || marker === 0xD9) return null; // Image data reached, no EXIF
+        
+        // APP1 starting with "Exif\0\0"
+        if (marker === 0xE1 && segment.byteLength >= 10 && segment.getUint32(4) === 0x45786966) {
+            return pos + 10;
+        }
+        
+        pos += 2 + segment.getUint16(2);
+    }
+    return null;
+}
+
+// "2024:06:01 14:03:22" -> milliseconds. The wall-clock time is treated as UTC so
+// values from different cameras compare directly, without DST or timezone shifts.
+function parseExifDate(text, subSeconds = '') {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(text || '');
+    if (!match) return null;
+    
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    if (!year) return null;
+    
+    const millis = subSeconds ? Math.round(parseFloat(`0.${subSeconds}`) * 1000) : 0;
+    return Date.UTC(year, month - 1, day, hour, minute, second) + (millis || 0);
+}
+
+// Combine make and model without repeating the brand ("Canon" + "Canon EOS R5")
+function formatCameraName(make, model) {
+    if (!model) return make || null;
+    if (!make) return model;
+    const brand = make.split(' ')[0].toLowerCase();
+    return model.toLowerCase().startsWith(brand) ? model : `${make} ${model}`;
+}
+
+// Read capture metadata from a file. Returns null if the file has no EXIF.
+async function readExifMetadata(file) {
+    const source = await prefetchFileHead(file);
+    const base = await findExifTiffBase(source);
+    if (base === null) return null;
+    
+    const header = await readTiffHeader(source, base);
+    if (!header) return null;
+    
+    const { littleEndian } = header;
+    const ifd0 = await readTiffIfd(source, header.firstIfdOffset, littleEndian, base);
+    if (!ifd0) return null;
+    
+    const read = async (ifd, tag) => {
+        const entry = ifd?.entries.get(tag);
+        return entry ? readTiffValues(source, entry, littleEndian, base) : null;
+    };
+    
+    const exifIfdOffset = (await read(ifd0, EXIF_TAG_EXIF_IFD))?.[0];
+    const exifIfd = exifIfdOffset
+        ? await readTiffIfd(source, exifIfdOffset, littleEndian, base)
+        : null;
+    
+    const make = await read(ifd0, EXIF_TAG_MAKE);
+    const model = await read(ifd0, EXIF_TAG_MODEL);
+    const dateTimeOriginal = await read(exifIfd, EXIF_TAG_DATE_TIME_ORIGINAL);
+    const dateTime = dateTimeOriginal || await read(ifd0, EXIF_TAG_DATE_TIME);
+    const subSeconds = dateTimeOriginal ? await read(exifIfd, EXIF_TAG_SUB_SEC_TIME_ORIGINAL) : null;
+    
+    return {
+        captureTime: parseExifDate(dateTime, subSeconds),
+        make: make || null,
+        model: model || null,
+        camera: formatCameraName(make, model),
+        serial: (await read(exifIfd, EXIF_TAG_BODY_SERIAL)) || null,
+        lens: (await read(exifIfd, EXIF_TAG_LENS_MODEL)) || null,
+        focalLength: (await read(exifIfd, EXIF_TAG_FOCAL_LENGTH))?.[0] || null,
+        aperture: (await read(exifIfd, EXIF_TAG_F_NUMBER))?.[0] || null,
+        exposureTime: (await read(exifIfd, EXIF_TAG_EXPOSURE_TIME))?.[0] || null,
+        iso: (await read(exifIfd, EXIF_TAG_ISO))?.[0] || null,
+        orientation: (await read(ifd0, EXIF_TAG_ORIENTATION))?.[0] || 1
+    };
+}
+
+// Read EXIF for every photo (in parallel chunks) and store it on photo.exif. Files read on
+// an earlier visit come from the media cache, so resuming a folder reads no file contents.
+async function loadPhotoMetadata(photos, progressCallback = null, concurrency = 8) {
+    const cachedExif = await getCachedExif();
+    
+    for (let i = 0; i < photos.length; i += concurrency) {
+        const chunk = photos.slice(i, i + concurrency);
+        await Promise.all(chunk.map(async (photo) => {
+            try {
+                const file = await photo.handle.getFile();
+                photo.fileSize = file.size; // Size + lastModified identify this version of the file in the media cache
+                photo.lastModified = file.lastModified;
+                
+                const cached = cachedExif.get(getMediaFileKey(photo));
+                if (cached !== undefined) {
+                    photo.exif = cached;
+                    return;
+                }
+                photo.exif = await readExifMetadata(file);
+                storeInMediaCache(photo, { exif: photo.exif });
+            } catch (err) {
+                console.warn(`Failed to read EXIF for ${photo.name}:`, err);
+                photo.exif = null;
+            }
+        }));
+        
+        if (progressCallback) {
+            progressCallback(Math.min(i + concurrency, photos.length));
+        }
+    }
+}
+
+function formatExposureTime(seconds) {
+    if (!seconds) return null;
+    if (seconds >= 1) return `${Math.round(seconds * 10) / 10}s`;
+    return `1/${Math.round(1 / seconds)}s`;
+}
+
+function formatCaptureTime(timestamp) {
+    if (timestamp == null) return null;
+    return new Date(timestamp).toLocaleString(undefined, { timeZone: 'UTC' });
+}
+
+// Label/value rows for the info overlay
+function getPhotoInfoRows(photo) {
+    const exif = photo.exif;
+    const rows = [['File', getPhotoDisplayName(photo)]];
+    
+    if (!exif) {
+        rows.push(['EXIF', 'No metadata found']);
+        return rows;
+    }
+    
+    rows.push(
+        ['Captured', formatCaptureTime(exif.captureTime)],
+        ['Camera', exif.camera],
+        ['Lens', exif.lens],
+        ['Focal length', exif.focalLength ? `${Math.round(exif.focalLength)}mm` : null],
+        ['Aperture', exif.aperture ? `f/${Math.round(exif.aperture * 10) / 10}` : null],
+        ['Shutter', formatExposureTime(exif.exposureTime)],
+        ['ISO', exif.iso]
+    );
+    
+    return rows.filter(([, value]) => value != null && value !== '');
+}
+
+function renderPhotoInfoPanel(panel, photo) {
+    panel.innerHTML = `
+        <dl>
+            ${getPhotoInfoRows(photo).map(([label, value]) => `
+                <dt>${label}</dt>
+                <dd>${escapeHtml(value)}</dd>
+            `).join('')}
+        </dl>
+    `;
+    panel.classList.toggle('hidden', !state.showPhotoInfo);
+}
+
+function togglePhotoInfo() {
+    state.showPhotoInfo = !state.showPhotoInfo;
+    elements.swipeInfoPanel.classList.toggle('hidden', !state.showPhotoInfo);
+    elements.viewerInfoPanel.classList.toggle('hidden', !state.showPhotoInfo);
+    elements.swipeInfoBtn.classList.toggle('active', state.showPhotoInfo);
+    elements.viewerInfoBtn.classList.toggle('active', state.showPhotoInfo);
+}
+
+// ============================================
+// Orientation - EXIF Orientation & Manual Rotation
+// ============================================
+
+// Transform needed to show a stored image upright: horizontal flip first, then a
+// clockwise rotation. Indexed by EXIF orientation value (1-8).
+const EXIF_ORIENTATION_TRANSFORMS = {
+    1: { rotate: 0, flip: false },
+    2: { rotate: 0, flip: true },
+    3: { rotate: 180, flip: false },
+    4: { rotate: 180, flip: true },
+    5: { rotate: 270, flip: true },
+    6: { rotate: 90, flip: false },
+    7: { rotate: 90, flip: true },
+    8: { rotate: 270, flip: false }
+};
+const IDENTITY_TRANSFORM = EXIF_ORIENTATION_TRANSFORMS[1];
+
+// Longest edge when a full-size image has to be re-encoded to rotate it
+const ORIENTED_FULL_SIZE_MAX = 6000;
+
+function isIdentityTransform(transform) {
+    return transform.rotate === 0 && !transform.flip;
+}
+
+// The transform still to apply after the browser has decoded the display file.
+// Browsers already honour EXIF orientation in JPEGs, so only the part they can't
+// know about is returned: the RAW's orientation when its preview has none, plus
+// the user's manual rotation.
+function getDisplayTransform(photo) {
+    const preview = state.rawPreviewCache.get(photo.id);
+    const pendingOrientation = preview && preview.orientation === 1 ? (photo.exif?.orientation || 1) : 1;
+    const base = EXIF_ORIENTATION_TRANSFORMS[pendingOrientation] || IDENTITY_TRANSFORM;
+    const manual = state.photoRotations.get(photo.id) || 0;
+    
+    return {
+        rotate: (base.rotate + manual) % 360,
+        flip: base.flip
+    };
+}
+
+// Draw an image into a width x height area (already in upright dimensions)
+function drawImageOriented(ctx, img, transform, width, height) {
+    if (isIdentityTransform(transform)) {
+        ctx.drawImage(img, 0, 0, width, height);
+        return;
+    }
+    
+    const swap = transform.rotate % 180 !== 0;
+    const drawWidth = swap ? height : width;
+    const drawHeight = swap ? width : height;
+    
+    ctx.save();
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate((transform.rotate * Math.PI) / 180);
+    if (transform.flip) ctx.scale(-1, 1);
+    ctx.drawImage(img, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+    ctx.restore();
+}
+
+// Manual rotations keyed by path for the session cache (IDs change between loads)
+function getRotationsByPath() {
+    const rotations = {};
+    for (const photo of state.allPhotos) {
+        const degrees = state.photoRotations.get(photo.id);
+        if (degrees) rotations[photo.path] = degrees;
+    }
+    return rotations;
+}
+
+// Rotate a photo by 90° steps and refresh everything derived from its pixels
+function rotatePhoto(photo, degrees = 90) {
+    const current = state.photoRotations.get(photo.id) || 0;
+    const next = (current + degrees + 360) % 360;
+    if (next) {
+        state.photoRotations.set(photo.id, next);
+    } else {
+        state.photoRotations.delete(photo.id);
+    }
+    
+    if (state.thumbnailCache.has(photo.id)) {
+        URL.revokeObjectURL(state.thumbnailCache.get(photo.id));
+        state.thumbnailCache.delete(photo.id);
+    }
+    removeFromFullSizeCache(photo.id);
+    
+    // Re-hash so the clusterer sees the upright frame
+    if (state.clusterFingerprints.has(photo.id)) {
+        state.clusterFingerprints.delete(photo.id);
+        createFingerprint(photo);
+    }
+    
+    scheduleSave();
+}
+
+// Rotate whatever photo is on screen (photo viewer first, then swipe view)
+async function rotateCurrentPhoto(degrees = 90) {
+    if (!elements.photoViewer.classList.contains('hidden') && viewerPhotoId) {
+        const photo = state.allPhotos.find(p => p.id === viewerPhotoId) ||
+                      state.candidates.find(p => p.id === viewerPhotoId);
+        if (!photo) return;
+        
+        rotatePhoto(photo, degrees);
+        elements.viewerImage.src = await getPhotoUrl(photo);
+        return;
+    }
+    
+    if (state.viewMode === 'swipe' && document.getElementById('selection-screen').classList.contains('active')) {
+        const photo = state.allPhotos[state.swipeIndex];
+        if (!photo) return;
+        
+        rotatePhoto(photo, degrees);
+        renderSwipeView();
+        updateSelectionSidebar();
+    }
+}
+
+// ============================================
+// Photo Order - Capture Time Across Camera Bodies
+// ============================================
+
+function compareFilenames(a, b) {
+    return a.name.localeCompare(b.name, undefined, { numeric: true });
+}
+
+// Identifies one physical body. Two bodies of the same model are told apart by serial.
+function getCameraKey(photo) {
+    const exif = photo.exif;
+    if (!exif?.camera) return 'Unknown camera';
+    return exif.serial ? `${exif.camera} #${exif.serial}` : exif.camera;
+}
+
+// Capture time with the per-camera clock correction applied (null if unknown)
+function getCorrectedCaptureTime(photo) {
+    const time = photo.exif?.captureTime;
+    if (time == null) return null;
+    return time + (state.cameraOffsets[getCameraKey(photo)] || 0) * 1000;
+}
+
+// Order by corrected capture time. Photos without a capture time keep filename
+// order at the end; equal times fall back to filename so bursts stay in sequence.
+function sortPhotosByCaptureTime(photos) {
+    return [...photos].sort((a, b) => {
+        const timeA = getCorrectedCaptureTime(a);
+        const timeB = getCorrectedCaptureTime(b);
+        if (timeA == null && timeB == null) return compareFilenames(a, b);
+        if (timeA == null) return 1;
+        if (timeB == null) return -1;
+        return (timeA - timeB) || compareFilenames(a, b);
+    });
+}
+
+// "+1:30:00" / "-0:00:45" / "-45" (seconds) -> seconds. Returns null if unparseable.
+function parseClockOffset(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) return 0;
+    
+    const match = /^([+-])?(\d+)(?::(\d{1,2}))?(?::(\d{1,2}))?$/.exec(trimmed);
+    if (!match) return null;
+    
+    const sign = match[1] === '-' ? -1 : 1;
+    const parts = match.slice(2).filter(p => p !== undefined).map(Number);
+    
+    let seconds;
+    if (parts.length === 1) seconds = parts[0];
+    else if (parts.length === 2) seconds = parts[0] * 3600 + parts[1] * 60;
+    else seconds = parts[0] * 3600 + parts[1] * 60 + parts[2];
+    
+    return sign * seconds;
+}
+
+function formatClockOffset(seconds) {
+    const sign = seconds < 0 ? '-' : '+';
+    const abs = Math.abs(seconds);
+    const h = Math.floor(abs / 3600);
+    const m = Math.floor((abs % 3600) / 60);
+    const sec = abs % 60;
+    return `${sign}${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
+}
+
+// Per-camera summary for the offset UI: photo count and (corrected) time range
+function getCameraSummaries() {
+    const cameras = new Map();
+    for (const photo of state.allPhotos) {
+        const key = getCameraKey(photo);
+        if (!cameras.has(key)) {
+            cameras.set(key, { key, count: 0, first: null, last: null });
+        }
+        const camera = cameras.get(key);
+        camera.count++;
+        
+        const time = getCorrectedCaptureTime(photo);
+        if (time != null) {
+            if (camera.first == null || time < camera.first) camera.first = time;
+            if (camera.last == null || time > camera.last) camera.last = time;
+        }
+    }
+    return [...cameras.values()].sort((a, b) => b.count - a.count);
+}
+
+function openPhotoOrderModal() {
+    elements.photoOrderOptions.querySelectorAll('.toggle-option').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.value === (state.photoOrder === 'capture' ? 'capture' : 'original'));
+    });
     
-    try {
-        const file = await photo.handle.getFile();
-        const thumbnailUrl = await createThumbnail(file, 300);
-        state.thumbnailCache.set(photo.id, thumbnailUrl);
-        return thumbnailUrl;
-    } catch (err) {
-        console.warn(`Failed to create thumbnail for ${photo.name}:`, err);
-        return null;
-    }
+    const cameras = getCameraSummaries();
+    elements.cameraOffsetsList.innerHTML = cameras.map(camera => `
+        <div class="camera-offset-row">
+            <div class="camera-offset-info">
+                <span class="camera-offset-name">${escapeHtml(camera.key)}</span>
+                <span class="camera-offset-meta">
+                    ${camera.count} photo${camera.count === 1 ? '' : 's'}
+                    ${camera.first != null ? ` • ${formatCaptureTime(camera.first)} – ${formatCaptureTime(camera.last)}` : ' • no capture time'}
+                </span>
+            </div>
+            <input type="text" class="camera-offset-input" data-camera="${escapeHtml(camera.key)}"
+                   value="${formatClockOffset(state.cameraOffsets[camera.key] || 0)}"
+                   title="Clock correction as ±H:MM:SS (or seconds)" spellcheck="false">
+        </div>
+    `).join('');
+    
+    elements.photoOrderModal.classList.remove('hidden');
 }
 
-// Preload thumbnails for a batch of photos (parallel with concurrency limit)
-async function preloadThumbnails(photos, concurrency = 6) {
-    const results = new Map();
-    
-    // Process in chunks to avoid overwhelming the browser
-    for (let i = 0; i < photos.length; i += concurrency) {
-        const chunk = photos.slice(i, i + concurrency);
-        const promises = chunk.map(async (photo) => {
-            const url = await getThumbnail(photo);
-            results.set(photo.id, url);
-        });
-        await Promise.all(promises);
+function closePhotoOrderModal() {
+    elements.photoOrderModal.classList.add('hidden');
+}
+
+async function applyPhotoOrder() {
+    // Read clock offsets
+    const offsets = {};
+    for (const input of elements.cameraOffsetsList.querySelectorAll('.camera-offset-input')) {
+        const seconds = parseClockOffset(input.value);
+        if (seconds === null) {
+            alert(`Couldn't read the offset "${input.value}". Use ±H:MM:SS, e.g. +1:00:00 or -0:00:30.`);
+            input.focus();
+            return;
+        }
+        if (seconds !== 0) offsets[input.dataset.camera] = seconds;
     }
+    state.cameraOffsets = offsets;
     
-    return results;
+    const order = elements.photoOrderOptions.querySelector('.toggle-option.active')?.dataset.value || 'original';
+    
+    // Keep the photo currently shown in swipe view in focus after reordering
+    const currentPhoto = state.allPhotos[state.swipeIndex];
+    
+    state.photoOrder = order;
+    state.allPhotos = order === 'capture'
+        ? sortPhotosByCaptureTime(state.allPhotos)
+        : [...state.allPhotos].sort(compareFilenames);
+    
+    state.swipeIndex = Math.max(0, state.allPhotos.indexOf(currentPhoto));
+    state.gridFirstIndex = getGridIndex(state.swipeIndex);
+    
+    // Sequential clusters depend on order (and global ones are listed in it);
+    // fingerprints are per photo and stay valid
+    state.clusters = [];
+    state.expandedClusters.clear();
+    
+    closePhotoOrderModal();
+    scheduleSave();
+    
+    if (state.viewMode === 'swipe') {
+        renderSwipeView();
+    } else if (state.viewMode === 'cluster') {
+        if (state.clusterFingerprints.size > 0) {
+            recluster();
+        } else {
+            renderClusterView();
+        }
+    } else {
+        scrollGridToIndex(state.gridFirstIndex);
+    }
+    updateSelectionStats();
 }
 
 // ============================================
@@ -1047,23 +4043,23 @@ async function preloadThumbnails(photos, concurrency = 6) {
 // ============================================
 
 async function startSelectionPhase(keepSelections = false) {
-    state.currentPage = 0;
+    state.gridFirstIndex = 0;
+    state.exposureFilter = null;
+    state.cameraFilter = null;
+    state.lensFilter = null;
     state.currentPhase = 'selection';
     state.viewMode = 'swipe';
     
     // Only clear selections if not restoring
     if (!keepSelections) {
         state.selectedIds.clear();
+        state.seenIds.clear();
         state.swipeIndex = 0;
-        // Clear cluster data for fresh start
+        // Clear cluster data for fresh start (fingerprints stay: they only depend on the pixels)
         state.clusters = [];
-        state.clusterFingerprints.clear();
         state.expandedClusters.clear();
     }
     
-    const totalPages = Math.ceil(state.allPhotos.length / state.photosPerPage);
-    elements.totalPages.textContent = totalPages;
-    
     // Reset view mode UI - default to swipe
     elements.gridViewBtn.classList.remove('active');
     elements.swipeViewBtn.classList.add('active');
@@ -1078,73 +4074,215 @@ async function startSelectionPhase(keepSelections = false) {
     elements.clusterInstruction.classList.add('hidden');
     
     showScreen('selection-screen');
+    updateDuplicatesButton();
     await renderSwipeView();
     updateSelectionStats();
 }
 
-async function renderSelectionPage() {
-    const start = state.currentPage * state.photosPerPage;
-    const end = Math.min(start + state.photosPerPage, state.allPhotos.length);
-    const pagePhotos = state.allPhotos.slice(start, end);
+// The grid is virtualized: only the rows on screen (plus a few either side) exist
+// in the DOM, and a sizer element gives the scroll container its full height.
+
+const GRID_GAP = 8; // Matches the 0.5rem gap in .selection-grid-window
+const GRID_PADDING = 16; // Matches the 1rem inset of .selection-grid-window
+const GRID_OVERSCAN_ROWS = 2;
+
+// Rows of the last render, so scrolling within them doesn't rebuild the DOM
+let renderedGridRange = null;
+
+// Column count and row height for the current width and zoom
+function getGridLayout() {
+    const width = Math.max(0, elements.selectionGrid.clientWidth - GRID_PADDING * 2);
+    const columns = Math.max(1, Math.floor((width + GRID_GAP) / (state.gridTileSize + GRID_GAP)));
+    const tileSize = (width - GRID_GAP * (columns - 1)) / columns;
+    const rowHeight = tileSize + GRID_GAP;
+    const totalRows = Math.ceil(getGridPhotos().length / columns);
+    return { columns, tileSize, rowHeight, totalRows };
+}
+
+// Give the scroll container the height of every row
+function sizeGrid({ columns, rowHeight, totalRows }) {
+    elements.selectionGridSizer.style.height = `${Math.max(0, totalRows * rowHeight - GRID_GAP + GRID_PADDING * 2)}px`;
+    elements.selectionGridWindow.style.setProperty('--grid-columns', columns);
+}
+
+async function renderSelectionPage(force = true) {
+    const grid = elements.selectionGrid;
+    const photos = getGridPhotos();
+    const layout = getGridLayout();
+    const { columns, rowHeight, totalRows } = layout;
+    sizeGrid(layout);
+    
+    const scrollTop = Math.max(0, grid.scrollTop - GRID_PADDING);
+    const firstVisibleRow = Math.floor(scrollTop / rowHeight);
+    const lastVisibleRow = Math.min(totalRows - 1, Math.floor((scrollTop + grid.clientHeight) / rowHeight));
+    const firstRow = Math.max(0, firstVisibleRow - GRID_OVERSCAN_ROWS);
+    const lastRow = Math.min(totalRows - 1, lastVisibleRow + GRID_OVERSCAN_ROWS);
+    
+    const visibleStart = Math.min(firstVisibleRow * columns, photos.length);
+    const visibleEnd = Math.min((lastVisibleRow + 1) * columns, photos.length);
+    state.gridFirstIndex = visibleStart;
+    
+    elements.gridPosition.textContent = photos.length > 0
+        ? `${visibleStart + 1}–${visibleEnd} of ${photos.length}`
+        : '0 photos';
+    elements.selectionProgress.textContent = elements.gridPosition.textContent;
+    
+    const range = `${firstRow}:${lastRow}:${columns}`;
+    if (!force && range === renderedGridRange) return;
+    renderedGridRange = range;
+    
+    if (force) {
+        updateExposureFilterChips();
+        updateExifFilterChips();
+    }
     
-    elements.currentPage.textContent = state.currentPage + 1;
-    elements.selectionProgress.textContent = `Page ${state.currentPage + 1} of ${elements.totalPages.textContent}`;
+    const start = firstRow * columns;
+    const end = Math.min((lastRow + 1) * columns, photos.length);
+    const windowPhotos = photos.slice(start, end);
     
-    // Render placeholders immediately
-    elements.selectionGrid.innerHTML = pagePhotos.map(photo => `
+    elements.selectionGridWindow.style.transform = `translateY(${firstRow * rowHeight}px)`;
+    elements.selectionGridWindow.innerHTML = windowPhotos.map(photo => `
         <div class="selection-photo ${state.selectedIds.has(photo.id) ? 'selected' : ''}" 
              data-id="${photo.id}">
-            <img src="${state.thumbnailCache.get(photo.id) || ''}" alt="${photo.name}" loading="lazy">
+            <img src="${state.thumbnailCache.get(photo.id) || ''}" alt="${photo.name}">
             <span class="photo-name">${photo.name}</span>
             <span class="select-indicator">✓</span>
+            ${getSharpnessBadgeHtml(photo)}
         </div>
     `).join('');
     
-    // Add click handlers
-    elements.selectionGrid.querySelectorAll('.selection-photo').forEach(el => {
-        el.addEventListener('click', (e) => {
-            if (e.detail === 2) {
-                openPhotoViewer(el.dataset.id);
-            } else {
-                toggleSelection(el.dataset.id);
-            }
-        });
+    updateSelectionStats();
+    
+    // Load thumbnails progressively (don't block UI)
+    scheduleGridThumbnails(photos, start, end);
+}
+
+// Re-render on scroll at most once per frame
+let gridScrollFrame = null;
+function handleGridScroll() {
+    if (gridScrollFrame) return;
+    gridScrollFrame = requestAnimationFrame(() => {
+        gridScrollFrame = null;
+        renderSelectionPage(false);
     });
+}
+
+// Scroll so the row containing this photo is at the top
+function scrollGridToIndex(index) {
+    const count = getGridPhotos().length;
+    if (count === 0) return;
     
-    // Update navigation buttons
-    elements.selectionPrev.disabled = state.currentPage === 0;
-    const totalPages = Math.ceil(state.allPhotos.length / state.photosPerPage);
-    elements.selectionNext.disabled = state.currentPage >= totalPages - 1;
+    const clamped = Math.max(0, Math.min(index, count - 1));
+    const layout = getGridLayout();
+    sizeGrid(layout); // So the new scroll position isn't clamped to a stale height
+    elements.selectionGrid.scrollTop = Math.floor(clamped / layout.columns) * layout.rowHeight;
+    renderSelectionPage();
+}
+
+// Scroll by one screenful (← / → in grid mode)
+function scrollGridByScreen(direction) {
+    const grid = elements.selectionGrid;
+    grid.scrollBy({ top: direction * (grid.clientHeight - GRID_GAP), behavior: 'smooth' });
+}
+
+function setGridTileSize(size) {
+    // Keep the photo at the top of the grid in place while zooming
+    const anchorIndex = state.gridFirstIndex;
+    state.gridTileSize = size;
+    scrollGridToIndex(anchorIndex);
+}
+
+// Jump to a photo by its position (1-based) or by (part of) its filename
+function jumpToPhoto(query) {
+    query = query.trim();
+    if (!query) return;
     
-    updateSelectionStats();
+    const photos = getGridPhotos();
+    let index = -1;
+    if (/^\d+$/.test(query)) {
+        index = Math.min(parseInt(query, 10), photos.length) - 1;
+    } else {
+        const lower = query.toLowerCase();
+        index = photos.findIndex(p => p.name.toLowerCase().includes(lower));
+    }
     
-    // Load thumbnails progressively (don't block UI)
-    const uncachedPhotos = pagePhotos.filter(p => !state.thumbnailCache.has(p.id));
-    if (uncachedPhotos.length > 0) {
-        loadThumbnailsProgressively(uncachedPhotos);
+    if (index < 0) {
+        alert(`No photo matches "${query}".`);
+        return;
+    }
+    
+    scrollGridToIndex(index);
+    
+    // Briefly highlight the target tile
+    const el = elements.selectionGrid.querySelector(`[data-id="${photos[index].id}"]`);
+    if (el) {
+        el.classList.add('jump-target');
+        setTimeout(() => el.classList.remove('jump-target'), 1500);
     }
 }
 
-// Load thumbnails one by one and update the DOM progressively
-async function loadThumbnailsProgressively(photos) {
-    for (const photo of photos) {
+// Photo IDs requested at visible priority for the rows on screen
+let gridVisibleThumbnailIds = new Set();
+
+// Photos and filter the grid last queued background thumbnails for, so scrolling doesn't
+// walk every photo again
+let gridBackgroundQueued = { photos: null, filter: null };
+
+// Queue thumbnails for the grid: the rows on screen first, then a screenful either
+// side, then everything else. Requests for photos scrolled out of view are cancelled.
+function scheduleGridThumbnails(photos, start, end) {
+    const pagePhotos = photos.slice(start, end);
+    const visibleIds = new Set(pagePhotos.map(p => p.id));
+    
+    cancelThumbnails([...gridVisibleThumbnailIds].filter(id => !visibleIds.has(id)));
+    gridVisibleThumbnailIds = visibleIds;
+    
+    for (const photo of pagePhotos) {
         if (state.thumbnailCache.has(photo.id)) continue;
         
-        try {
-            const url = await getThumbnail(photo);
-            if (url) {
-                // Update the image in the DOM if it's still visible
-                const img = elements.selectionGrid.querySelector(`[data-id="${photo.id}"] img`);
-                if (img) {
-                    img.src = url;
-                }
+        getThumbnail(photo, THUMB_PRIORITY_VISIBLE).then(url => {
+            // Update the image in the DOM if it's still visible
+            const img = elements.selectionGrid.querySelector(`[data-id="${photo.id}"] img`);
+            if (img && url) {
+                img.src = url;
             }
-        } catch (err) {
-            // Skip failed thumbnails
+        });
+    }
+    
+    const pageSize = end - start;
+    const adjacent = [
+        ...photos.slice(Math.max(0, start - pageSize), start),
+        ...photos.slice(end, end + pageSize)
+    ];
+    for (const photo of adjacent) {
+        if (!state.thumbnailCache.has(photo.id)) getThumbnail(photo, THUMB_PRIORITY_ADJACENT);
+    }
+    
+    const filter = getGridFilterKey();
+    if (gridBackgroundQueued.photos !== state.allPhotos || gridBackgroundQueued.filter !== filter) {
+        gridBackgroundQueued = { photos: state.allPhotos, filter };
+        for (const photo of photos) {
+            if (!state.thumbnailCache.has(photo.id)) getThumbnail(photo, THUMB_PRIORITY_BACKGROUND);
         }
     }
 }
 
+// Reload thumbnails in the grid and sidebar that were invalidated (e.g. by a rotation)
+function refreshVisibleThumbnails() {
+    const containers = [elements.selectionGrid, elements.sidebarThumbnails];
+    for (const container of containers) {
+        container.querySelectorAll('[data-id]').forEach(el => {
+            const photo = state.allPhotos.find(p => p.id === el.dataset.id);
+            if (!photo || state.thumbnailCache.has(photo.id)) return;
+            
+            getThumbnail(photo).then(url => {
+                const img = el.querySelector('img');
+                if (img && url) img.src = url;
+            });
+        });
+    }
+}
+
 function toggleSelection(photoId) {
     if (state.selectedIds.has(photoId)) {
         state.selectedIds.delete(photoId);
@@ -1265,25 +4403,11 @@ function clearAllSelections() {
     updateSelectionStats();
 }
 
-async function selectionPrevPage() {
-    if (state.currentPage > 0) {
-        state.currentPage--;
-        await renderSelectionPage();
-    }
-}
-
-async function selectionNextPage() {
-    const totalPages = Math.ceil(state.allPhotos.length / state.photosPerPage);
-    if (state.currentPage < totalPages - 1) {
-        state.currentPage++;
-        await renderSelectionPage();
-    }
-}
-
 async function showSelectedReview() {
     const selectedPhotos = state.allPhotos.filter(p => state.selectedIds.has(p.id));
     
     elements.reviewCount.textContent = `${selectedPhotos.length} photos`;
+    elements.reviewRankingModeSelect.value = state.rankingMode;
     elements.reviewGrid.innerHTML = selectedPhotos.map(photo => `
         <div class="review-photo selected" data-id="${photo.id}">
             <img src="${state.thumbnailCache.get(photo.id) || ''}" alt="${photo.name}">
@@ -1325,7 +4449,7 @@ function removeFromSelection(photoId) {
 function backToSelection() {
     showScreen('selection-screen');
     if (state.viewMode === 'grid') {
-        renderSelectionPage();
+        scrollGridToIndex(state.gridFirstIndex);
     } else {
         renderSwipeView();
     }
@@ -1361,8 +4485,8 @@ function setViewMode(mode) {
         elements.selectionProgress.textContent = `${state.clusters.length} clusters`;
         renderClusterView();
     } else {
-        elements.selectionProgress.textContent = `Page ${state.currentPage + 1} of ${elements.totalPages.textContent}`;
-        renderSelectionPage();
+        // The grid was hidden, so lay it out again now that it has a size
+        scrollGridToIndex(getGridIndex(state.swipeIndex));
     }
 }
 
@@ -1370,29 +4494,71 @@ function setViewMode(mode) {
 // Clustering - Image Fingerprinting & Grouping
 // ============================================
 
+// Fingerprinting algorithms. Each has its own sample size and distance scale, so the
+// similarity slider is recalibrated when switching (RMS on 0-255 vs. bits of 64).
+const FINGERPRINT_METHODS = {
+    grayscale: { sampleWidth: 8, sampleHeight: 8, thresholdMin: 5, thresholdMax: 50, thresholdDefault: 15 },
+    dhash: { sampleWidth: 9, sampleHeight: 8, thresholdMin: 0, thresholdMax: 32, thresholdDefault: 12 },
+    phash: { sampleWidth: 32, sampleHeight: 32, thresholdMin: 0, thresholdMax: 32, thresholdDefault: 10 }
+};
+
 // Create a fingerprint from an image by downsampling to a small grid
-async function createFingerprint(photo, size = 8) {
-    if (state.clusterFingerprints.has(photo.id)) {
+// (the same decode also measures sharpness and exposure)
+async function createFingerprint(photo) {
+    if (state.clusterFingerprints.has(photo.id) && state.photoSharpness.has(photo.id) &&
+        state.photoExposure.has(photo.id)) {
         return state.clusterFingerprints.get(photo.id);
     }
     
     try {
-        const file = await photo.handle.getFile();
-        const fingerprint = await computeImageFingerprint(file, size);
-        state.clusterFingerprints.set(photo.id, fingerprint);
-        return fingerprint;
+        const method = state.fingerprintMethod;
+        const file = await getDisplayFile(photo);
+        const analysis = await computeImageFingerprint(file, method, getDisplayTransform(photo));
+        
+        recordPhotoAnalysis(photo, method, analysis);
+        if (method !== state.fingerprintMethod) return null; // Algorithm was switched meanwhile
+        
+        state.clusterFingerprints.set(photo.id, analysis.fingerprint);
+        return analysis.fingerprint;
     } catch (err) {
         console.warn(`Failed to create fingerprint for ${photo.name}:`, err);
         return null;
     }
 }
 
-// Reusable canvas for fingerprinting (memory optimization)
+// Keep everything one decode measured, in memory and in the media cache
+function recordPhotoAnalysis(photo, method, { fingerprint, sharpness, exposure, pixelSize }) {
+    state.photoSharpness.set(photo.id, sharpness);
+    state.photoExposure.set(photo.id, exposure);
+    if (method === 'phash') photo.perceptualHash = fingerprint; // Also used for duplicate detection
+    photo.pixelSize = pixelSize;
+    storeInMediaCache(photo, { [`fingerprint:${method}`]: fingerprint, sharpness, exposure, pixelSize });
+}
+
+// Reusable canvases for fingerprinting and sharpness (memory optimization)
 let fingerprintCanvas = null;
 let fingerprintCtx = null;
+let analysisCanvas = null;
+let analysisCtx = null;
+
+// Luminance (0.299*R + 0.587*G + 0.114*B) of everything drawn on a canvas
+function readLuminance(ctx, width, height) {
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const gray = new Uint8Array(width * height);
+    for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+        gray[j] = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+    }
+    return gray;
+}
 
-// Compute fingerprint from a File object - memory optimized
-function computeImageFingerprint(file, size = 8) {
+// Compute fingerprint from a File object - memory optimized.
+// The transform makes rotated frames of the same scene hash alike.
+// The decoded image is also sampled at SHARPNESS_SAMPLE_SIZE for the focus and exposure
+// measurements, so each photo is only decoded once. Resolves to { fingerprint, sharpness,
+// exposure, pixelSize } (pixelSize is the upright "width×height").
+function computeImageFingerprint(file, method = 'grayscale', transform = IDENTITY_TRANSFORM) {
+    const { sampleWidth, sampleHeight } = FINGERPRINT_METHODS[method];
+    
     return new Promise((resolve, reject) => {
         const img = new Image();
         const url = URL.createObjectURL(file);
@@ -1401,30 +4567,53 @@ function computeImageFingerprint(file, size = 8) {
             // Reuse canvas to avoid memory leaks
             if (!fingerprintCanvas) {
                 fingerprintCanvas = document.createElement('canvas');
-                fingerprintCanvas.width = size;
-                fingerprintCanvas.height = size;
                 fingerprintCtx = fingerprintCanvas.getContext('2d', { willReadFrequently: true });
             }
+            if (fingerprintCanvas.width !== sampleWidth || fingerprintCanvas.height !== sampleHeight) {
+                fingerprintCanvas.width = sampleWidth;
+                fingerprintCanvas.height = sampleHeight;
+            }
             
             // Clear and draw
-            fingerprintCtx.clearRect(0, 0, size, size);
-            fingerprintCtx.drawImage(img, 0, 0, size, size);
-            
-            const imageData = fingerprintCtx.getImageData(0, 0, size, size);
-            const data = imageData.data;
+            fingerprintCtx.clearRect(0, 0, sampleWidth, sampleHeight);
+            drawImageOriented(fingerprintCtx, img, transform, sampleWidth, sampleHeight);
             
             // Extract grayscale values (more compact, faster comparison)
-            const fingerprint = new Uint8Array(size * size);
-            for (let i = 0, j = 0; i < data.length; i += 4, j++) {
-                // Grayscale: 0.299*R + 0.587*G + 0.114*B
-                fingerprint[j] = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+            const gray = readLuminance(fingerprintCtx, sampleWidth, sampleHeight);
+            
+            // Larger luminance sample (upright, longest edge SHARPNESS_SAMPLE_SIZE) for focus and exposure
+            const swap = transform.rotate % 180 !== 0;
+            const uprightWidth = swap ? img.height : img.width;
+            const uprightHeight = swap ? img.width : img.height;
+            const scale = Math.min(1, SHARPNESS_SAMPLE_SIZE / Math.max(uprightWidth, uprightHeight));
+            const analysisWidth = Math.max(3, Math.round(uprightWidth * scale));
+            const analysisHeight = Math.max(3, Math.round(uprightHeight * scale));
+            if (!analysisCanvas) {
+                analysisCanvas = document.createElement('canvas');
+                analysisCtx = analysisCanvas.getContext('2d', { willReadFrequently: true });
             }
+            analysisCanvas.width = analysisWidth;
+            analysisCanvas.height = analysisHeight;
+            drawImageOriented(analysisCtx, img, transform, analysisWidth, analysisHeight);
+            const luminance = readLuminance(analysisCtx, analysisWidth, analysisHeight);
             
             // Clean up
             URL.revokeObjectURL(url);
             img.src = ''; // Help garbage collection
             
-            resolve(fingerprint);
+            let fingerprint = gray;
+            if (method === 'dhash') {
+                fingerprint = computeDifferenceHash(gray, sampleWidth, sampleHeight);
+            } else if (method === 'phash') {
+                fingerprint = computePerceptualHash(gray, sampleWidth);
+            }
+            
+            resolve({
+                fingerprint,
+                sharpness: measureSharpness(luminance, analysisWidth, analysisHeight),
+                exposure: measureExposure(luminance),
+                pixelSize: `${uprightWidth}×${uprightHeight}`
+            });
         };
         
         img.onerror = () => {
@@ -1437,12 +4626,88 @@ function computeImageFingerprint(file, size = 8) {
     });
 }
 
+// Pack an array of booleans into bytes (64 bits -> 8 bytes)
+function packBits(bits) {
+    const bytes = new Uint8Array(Math.ceil(bits.length / 8));
+    for (let i = 0; i < bits.length; i++) {
+        if (bits[i]) bytes[i >> 3] |= 1 << (i & 7);
+    }
+    return bytes;
+}
+
+// dHash: one bit per horizontally adjacent pair - is the left pixel brighter?
+// Only relative brightness matters, so exposure shifts don't change the hash.
+function computeDifferenceHash(gray, width, height) {
+    const bits = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width - 1; x++) {
+            bits.push(gray[y * width + x] > gray[y * width + x + 1]);
+        }
+    }
+    return packBits(bits);
+}
+
+// pHash: 2D DCT of a 32x32 image, then one bit per low-frequency coefficient
+// (top-left 8x8) - is it above the median? Robust to small crops and rescaling.
+function computePerceptualHash(gray, size, hashSize = 8) {
+    // Separable DCT-II, only the low-frequency rows/columns we actually keep
+    const cosTable = [];
+    for (let u = 0; u < hashSize; u++) {
+        cosTable.push(Float64Array.from({ length: size }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size))));
+    }
+    
+    // Rows first: size rows x hashSize frequencies
+    const rowDct = new Float64Array(size * hashSize);
+    for (let y = 0; y < size; y++) {
+        for (let u = 0; u < hashSize; u++) {
+            let sum = 0;
+            for (let x = 0; x < size; x++) sum += gray[y * size + x] * cosTable[u][x];
+            rowDct[y * hashSize + u] = sum;
+        }
+    }
+    
+    // Then columns: hashSize x hashSize coefficients
+    const coefficients = [];
+    for (let v = 0; v < hashSize; v++) {
+        for (let u = 0; u < hashSize; u++) {
+            let sum = 0;
+            for (let y = 0; y < size; y++) sum += rowDct[y * hashSize + u] * cosTable[v][y];
+            coefficients.push(sum);
+        }
+    }
+    
+    // The DC term (overall brightness) would skew the median, so leave it out
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+    return packBits(coefficients.map(c => c > median));
+}
+
+// Number of set bits in each byte value, for fast Hamming distance
+const POPCOUNT = Uint8Array.from({ length: 256 }, (_, n) => {
+    let count = 0;
+    for (; n; n >>= 1) count += n & 1;
+    return count;
+});
+
+function hammingDistance(hash1, hash2) {
+    let distance = 0;
+    for (let i = 0; i < hash1.length; i++) {
+        distance += POPCOUNT[hash1[i] ^ hash2[i]];
+    }
+    return distance;
+}
+
 // Calculate similarity distance between two fingerprints (lower = more similar)
-function fingerprintDistance(fp1, fp2) {
+function fingerprintDistance(fp1, fp2, method = state.fingerprintMethod) {
     if (!fp1 || !fp2 || fp1.length !== fp2.length) {
         return Infinity;
     }
     
+    // Hashes: number of differing bits (0-64)
+    if (method !== 'grayscale') {
+        return hammingDistance(fp1, fp2);
+    }
+    
     let sum = 0;
     for (let i = 0; i < fp1.length; i++) {
         const diff = fp1[i] - fp2[i];
@@ -1453,6 +4718,33 @@ function fingerprintDistance(fp1, fp2) {
     return Math.sqrt(sum / fp1.length);
 }
 
+// Switch fingerprint algorithm: recalibrate the slider and re-fingerprint
+async function setFingerprintMethod(method) {
+    if (!FINGERPRINT_METHODS[method] || method === state.fingerprintMethod) return;
+    
+    state.fingerprintMethod = method;
+    updateClusterThresholdSlider();
+    
+    // Fingerprints from another algorithm aren't comparable; cached ones may exist on disk
+    state.clusterFingerprints.clear();
+    state.clusters = [];
+    await restoreMediaCache(state.allPhotos);
+    
+    if (state.viewMode === 'cluster') {
+        renderClusterView();
+    }
+}
+
+// Range and default of the similarity slider for the current algorithm
+function updateClusterThresholdSlider() {
+    const { thresholdMin, thresholdMax, thresholdDefault } = FINGERPRINT_METHODS[state.fingerprintMethod];
+    state.clusterThreshold = thresholdDefault;
+    elements.clusterThresholdSlider.min = thresholdMin;
+    elements.clusterThresholdSlider.max = thresholdMax;
+    elements.clusterThresholdSlider.value = thresholdDefault;
+    document.getElementById('threshold-value').textContent = thresholdDefault;
+}
+
 // Format seconds into human-readable time
 function formatETA(seconds) {
     if (seconds < 60) {
@@ -1506,41 +4798,69 @@ function sendNotification(title, body) {
     }
 }
 
-// Build clusters from all photos based on sequential similarity
+// Build clusters from all photos (fingerprint everything, then group)
 async function buildClusters() {
     const photos = state.allPhotos;
     if (photos.length === 0) return;
     
+    // Capture-time modes don't need to decode everything up front
+    if (state.clusterMode === 'time') {
+        state.clusters = clusterByCaptureTime(photos);
+        state.expandedClusters.clear();
+        if (state.viewMode === 'cluster') renderClusterView();
+        return;
+    }
+    if (state.clusterMode === 'time-visual') {
+        refineTimeBurstsInBackground();
+        return;
+    }
+    
     // Request notification permission upfront
     await requestNotificationPermission();
     
-    elements.loadingStatus.textContent = 'Analyzing photos for clustering...';
+    await fingerprintPhotos(photos, 'Analyzing photos for clustering...');
+    
+    if (state.clusterMode === 'global') {
+        elements.loadingStatus.textContent = 'Grouping similar photos...';
+    }
+    const clusters = await groupPhotosIntoClusters(photos);
+    
+    state.clusters = clusters;
+    state.expandedClusters.clear();
+    
+    // Clear the reusable canvases to free memory
+    fingerprintCanvas = null;
+    fingerprintCtx = null;
+    analysisCanvas = null;
+    analysisCtx = null;
+    
+    console.log(`📊 Created ${clusters.length} clusters from ${photos.length} photos`);
+    
+    // Send browser notification
+    sendNotification(
+        '📊 Clustering Complete!',
+        `Created ${clusters.length} clusters from ${photos.length} photos`
+    );
+    
+    // Return to selection screen
+    showScreen('selection-screen');
+    
+    if (state.viewMode === 'cluster') {
+        renderClusterView();
+    }
+}
+
+// Fingerprint (and measure the sharpness of) photos behind the loading screen
+async function fingerprintPhotos(photos, statusText) {
+    elements.loadingStatus.textContent = statusText;
     elements.progressFill.style.width = '0%';
     showScreen('loading-screen');
     
-    // Build clusters incrementally - only keep current and previous fingerprint in memory
-    const clusters = [];
-    let currentCluster = [photos[0]];
-    let prevFp = await createFingerprint(photos[0]);
-    
     const startTime = Date.now();
     const BATCH_SIZE = 50; // Process in batches to allow GC
     
-    for (let i = 1; i < photos.length; i++) {
-        const currFp = await createFingerprint(photos[i]);
-        const distance = fingerprintDistance(prevFp, currFp);
-        
-        if (distance <= state.clusterThreshold) {
-            // Similar to previous, add to current cluster
-            currentCluster.push(photos[i]);
-        } else {
-            // Different, start new cluster
-            clusters.push(currentCluster);
-            currentCluster = [photos[i]];
-        }
-        
-        // Move to next - only keep current fingerprint for next comparison
-        prevFp = currFp;
+    for (let i = 0; i < photos.length; i++) {
+        await createFingerprint(photos[i]);
         
         // Update UI and allow GC every batch
         if (i % BATCH_SIZE === 0 || i === photos.length - 1) {
@@ -1558,41 +4878,121 @@ async function buildClusters() {
             await new Promise(r => setTimeout(r, 10));
         }
     }
+}
+
+// Group fingerprinted photos using the current clustering mode
+async function groupPhotosIntoClusters(photos) {
+    if (state.clusterMode === 'global') {
+        return clusterGlobally(photos);
+    }
+    if (state.clusterMode === 'time' || state.clusterMode === 'time-visual') {
+        return clusterByCaptureTime(photos, state.clusterMode === 'time-visual');
+    }
+    return clusterSequentially(photos);
+}
+
+// Bursts by capture time: walking in (corrected) capture order, a gap longer than
+// burstGapSeconds starts a new cluster. With compareFingerprints, a visual change
+// beyond the similarity threshold also splits a burst. Photos without a capture
+// time are left on their own.
+function clusterByCaptureTime(photos, compareFingerprints = false) {
+    const ordered = sortPhotosByCaptureTime(photos);
+    const gapMs = state.burstGapSeconds * 1000;
+    const clusters = [];
+    let currentCluster = [ordered[0]];
+    
+    for (let i = 1; i < ordered.length; i++) {
+        const prevTime = getCorrectedCaptureTime(ordered[i - 1]);
+        const currTime = getCorrectedCaptureTime(ordered[i]);
+        let sameBurst = prevTime != null && currTime != null && currTime - prevTime <= gapMs;
+        
+        if (sameBurst && compareFingerprints) {
+            const distance = fingerprintDistance(
+                state.clusterFingerprints.get(ordered[i - 1].id),
+                state.clusterFingerprints.get(ordered[i].id)
+            );
+            sameBurst = distance <= state.clusterThreshold;
+        }
+        
+        if (sameBurst) {
+            currentCluster.push(ordered[i]);
+        } else {
+            clusters.push(currentCluster);
+            currentCluster = [ordered[i]];
+        }
+    }
     
-    // Don't forget the last cluster
     if (currentCluster.length > 0) {
         clusters.push(currentCluster);
     }
     
-    state.clusters = clusters;
-    state.expandedClusters.clear();
+    return clusters;
+}
+
+// Bumped whenever a newer background refinement starts (or clustering settings change)
+let clusterRefineRun = 0;
+
+// Show capture-time bursts immediately, then fingerprint only the photos that share
+// a burst and split bursts that contain a visual change
+async function refineTimeBurstsInBackground() {
+    const run = ++clusterRefineRun;
+    const photos = state.allPhotos;
     
-    // Clear the reusable canvas to free memory
-    fingerprintCanvas = null;
-    fingerprintCtx = null;
+    state.clusters = clusterByCaptureTime(photos);
+    state.expandedClusters.clear();
+    if (state.viewMode === 'cluster') renderClusterView();
     
-    console.log(`📊 Created ${clusters.length} clusters from ${photos.length} photos`);
+    // Singletons can't be split any further, so they never need decoding
+    const burstPhotos = state.clusters.filter(cluster => cluster.length > 1).flat();
+    for (let i = 0; i < burstPhotos.length; i++) {
+        await createFingerprint(burstPhotos[i]);
+        if (run !== clusterRefineRun) return;
+        
+        if (i % 20 === 0 || i === burstPhotos.length - 1) {
+            elements.clusterCountDisplay.textContent =
+                `${state.clusters.length} bursts • analyzing ${i + 1} / ${burstPhotos.length}`;
+        }
+    }
     
-    // Send browser notification
-    sendNotification(
-        '📊 Clustering Complete!',
-        `Created ${clusters.length} clusters from ${photos.length} photos`
-    );
+    state.clusters = clusterByCaptureTime(photos, true);
+    state.expandedClusters.clear();
     
-    // Return to selection screen
-    showScreen('selection-screen');
+    console.log(`📊 Split ${photos.length} photos into ${state.clusters.length} bursts`);
     
     if (state.viewMode === 'cluster') {
         renderClusterView();
+    } else {
+        elements.clusterCountDisplay.textContent = `${state.clusters.length} clusters`;
+    }
+}
+
+// Regroup after a clustering setting changed, reusing fingerprints where possible
+function regroupClusters() {
+    clusterRefineRun++; // Any background refinement is now stale
+    
+    // Time + visual only compares photos that share a capture-time burst, so those are the
+    // only fingerprints it needs
+    const needed = state.clusterMode === 'time-visual'
+        ? clusterByCaptureTime(state.allPhotos).filter(cluster => cluster.length > 1).flat()
+        : state.allPhotos;
+    const hasAllFingerprints = needed.every(p => state.clusterFingerprints.has(p.id));
+    if (state.clusterMode === 'time' || hasAllFingerprints) {
+        recluster();
+    } else {
+        state.clusters = [];
+        renderClusterView();
     }
 }
 
-// Re-cluster with new threshold
-async function recluster() {
-    const photos = state.allPhotos;
-    if (photos.length === 0) return;
-    
-    // Use cached fingerprints to rebuild clusters
+// Show only the controls that matter for the current clustering mode
+function updateClusterControls() {
+    const usesTime = state.clusterMode === 'time' || state.clusterMode === 'time-visual';
+    elements.burstGapControl.classList.toggle('hidden', !usesTime);
+    elements.clusterVisualControls.classList.toggle('hidden', state.clusterMode === 'time');
+}
+
+// Sequential bursts: a photo joins the current cluster if it resembles the one before it
+function clusterSequentially(photos) {
     const clusters = [];
     let currentCluster = [photos[0]];
     
@@ -1602,17 +5002,90 @@ async function recluster() {
         const distance = fingerprintDistance(prevFp, currFp);
         
         if (distance <= state.clusterThreshold) {
+            // Similar to previous, add to current cluster
             currentCluster.push(photos[i]);
         } else {
+            // Different, start new cluster
             clusters.push(currentCluster);
             currentCluster = [photos[i]];
         }
     }
     
+    // Don't forget the last cluster
     if (currentCluster.length > 0) {
         clusters.push(currentCluster);
     }
     
+    return clusters;
+}
+
+// A cheap 1-D key that never exceeds the real distance between two fingerprints:
+// |mean1 - mean2| <= RMS difference, and |popcount1 - popcount2| <= Hamming distance.
+function getFingerprintSortKey(fingerprint) {
+    let sum = 0;
+    for (let i = 0; i < fingerprint.length; i++) {
+        sum += state.fingerprintMethod === 'grayscale' ? fingerprint[i] : POPCOUNT[fingerprint[i]];
+    }
+    return state.fingerprintMethod === 'grayscale' ? sum / fingerprint.length : sum;
+}
+
+// Visually similar anywhere: connected components over every pair within the threshold.
+// Photos are indexed by their sort key, so each one is only compared against the
+// window of photos whose key is within the threshold - pairs outside can't match.
+async function clusterGlobally(photos) {
+    const parent = photos.map((_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]]; // Path halving
+            i = parent[i];
+        }
+        return i;
+    };
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+    };
+    
+    const indexed = [];
+    photos.forEach((photo, i) => {
+        const fingerprint = state.clusterFingerprints.get(photo.id);
+        if (fingerprint) indexed.push({ i, fingerprint, key: getFingerprintSortKey(fingerprint) });
+    });
+    indexed.sort((a, b) => a.key - b.key);
+    
+    for (let a = 0; a < indexed.length; a++) {
+        for (let b = a + 1; b < indexed.length; b++) {
+            if (indexed[b].key - indexed[a].key > state.clusterThreshold) break;
+            if (fingerprintDistance(indexed[a].fingerprint, indexed[b].fingerprint) <= state.clusterThreshold) {
+                union(indexed[a].i, indexed[b].i);
+            }
+        }
+        
+        // Keep the page responsive on big folders
+        if (a % 500 === 499) {
+            await new Promise(r => setTimeout(r, 0));
+        }
+    }
+    
+    // Clusters keep photo order inside, and are ordered by their first photo
+    const clustersByRoot = new Map();
+    photos.forEach((photo, i) => {
+        const root = find(i);
+        if (!clustersByRoot.has(root)) clustersByRoot.set(root, []);
+        clustersByRoot.get(root).push(photo);
+    });
+    return [...clustersByRoot.values()];
+}
+
+// Re-cluster with new threshold
+async function recluster() {
+    const photos = state.allPhotos;
+    if (photos.length === 0) return;
+    
+    // Use cached fingerprints to rebuild clusters
+    const clusters = await groupPhotosIntoClusters(photos);
+    
     state.clusters = clusters;
     state.expandedClusters.clear();
     
@@ -1655,16 +5128,18 @@ async function renderClusterView() {
                         <span class="cluster-size">${cluster.length} photo${cluster.length > 1 ? 's' : ''}</span>
                         ${selectedCount > 0 ? `<span class="cluster-selected">${selectedCount} selected</span>` : ''}
                     </div>
+                    ${cluster.length > 1 ? `<button class="cluster-best-btn" data-cluster-index="${i}" title="Compare these frames head to head">🏆 Best of ${cluster.length}</button>` : ''}
                     <button class="cluster-expand-btn">${isExpanded ? '▼' : '▶'}</button>
                 </div>
                 ${isExpanded ? `
                     <div class="cluster-photos">
                         ${cluster.map(photo => `
-                            <div class="cluster-photo ${state.selectedIds.has(photo.id) ? 'selected' : ''}" 
+                            <div class="cluster-photo ${state.selectedIds.has(photo.id) ? 'selected' : ''} ${state.seenIds.has(photo.id) ? 'seen' : ''}" 
                                  data-id="${photo.id}">
                                 <img src="${state.thumbnailCache.get(photo.id) || ''}" alt="${photo.name}">
                                 <span class="photo-name">${photo.name}</span>
                                 <span class="select-indicator">✓</span>
+                                ${getSharpnessBadgeHtml(photo)}
                             </div>
                         `).join('')}
                     </div>
@@ -1675,11 +5150,13 @@ async function renderClusterView() {
     
     container.innerHTML = html;
     
-    // Load missing thumbnails
-    for (const cluster of state.clusters) {
+    // Load missing thumbnails - what's on screen first, the rest of each cluster in the background
+    for (let i = 0; i < state.clusters.length; i++) {
+        const cluster = state.clusters[i];
         for (const photo of cluster) {
             if (!state.thumbnailCache.has(photo.id)) {
-                getThumbnail(photo).then(url => {
+                const isOnScreen = photo === cluster[0] || state.expandedClusters.has(i);
+                getThumbnail(photo, isOnScreen ? THUMB_PRIORITY_VISIBLE : THUMB_PRIORITY_BACKGROUND).then(url => {
                     const imgs = container.querySelectorAll(`[data-photo-id="${photo.id}"], [data-id="${photo.id}"] img`);
                     imgs.forEach(img => {
                         if (img.tagName === 'IMG' && url) img.src = url;
@@ -1707,33 +5184,602 @@ async function renderClusterView() {
             }
         });
     });
+    
+    container.querySelectorAll('.cluster-best-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openBurstDuel(parseInt(btn.dataset.clusterIndex));
+        });
+    });
+}
+
+function toggleClusterExpand(clusterIndex) {
+    if (state.expandedClusters.has(clusterIndex)) {
+        state.expandedClusters.delete(clusterIndex);
+    } else {
+        state.expandedClusters.add(clusterIndex);
+    }
+    renderClusterView();
+}
+
+function toggleSelectionInCluster(photoId) {
+    if (state.selectedIds.has(photoId)) {
+        state.selectedIds.delete(photoId);
+    } else {
+        state.selectedIds.add(photoId);
+    }
+    
+    // Update UI for this photo
+    const el = elements.clusterView.querySelector(`[data-id="${photoId}"]`);
+    if (el) {
+        el.classList.toggle('selected', state.selectedIds.has(photoId));
+    }
+    
+    updateSelectionStats();
+    renderClusterView(); // Re-render to update cluster selected counts
+    scheduleSave();
+}
+
+// ============================================
+// Sharpness - Focus Scoring & Blur Actions
+// ============================================
+
+// Variance of the Laplacian on a downsampled luminance image: in-focus detail has
+// strong second derivatives, blur flattens them. Measured over the whole frame, the
+// center and the brightest tile (often the lit subject), stored as raw variances.
+
+const SHARPNESS_SAMPLE_SIZE = 256; // Longest edge of the luminance sample
+const SHARPNESS_TILES = 4; // Frame is split into 4x4 tiles for the regional measurements
+
+function measureSharpness(gray, width, height) {
+    const tileCount = SHARPNESS_TILES * SHARPNESS_TILES;
+    const tiles = Array.from({ length: tileCount }, () => ({ n: 0, sum: 0, sumSq: 0, luminance: 0 }));
+    const tileOf = (x, y) => Math.min(SHARPNESS_TILES - 1, Math.floor((y * SHARPNESS_TILES) / height)) * SHARPNESS_TILES +
+        Math.min(SHARPNESS_TILES - 1, Math.floor((x * SHARPNESS_TILES) / width));
+    
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const laplacian = 4 * gray[i] - gray[i - 1] - gray[i + 1] - gray[i - width] - gray[i + width];
+            const tile = tiles[tileOf(x, y)];
+            tile.n++;
+            tile.sum += laplacian;
+            tile.sumSq += laplacian * laplacian;
+            tile.luminance += gray[i];
+        }
+    }
+    
+    const variance = (parts) => {
+        let n = 0, sum = 0, sumSq = 0;
+        for (const t of parts) {
+            n += t.n;
+            sum += t.sum;
+            sumSq += t.sumSq;
+        }
+        if (n === 0) return 0;
+        const mean = sum / n;
+        return Math.round((sumSq / n - mean * mean) * 10) / 10;
+    };
+    
+    // Central 2x2 tiles of the 4x4 grid
+    const center = [5, 6, 9, 10].map(i => tiles[i]);
+    const brightest = tiles.reduce((best, t) => (t.n && t.luminance / t.n > best.luminance / (best.n || 1) ? t : best), tiles[0]);
+    
+    return {
+        whole: variance(tiles),
+        center: variance(center),
+        brightest: variance([brightest])
+    };
+}
+
+// 0-100 focus score for the chosen region, or null if the photo hasn't been analyzed.
+// Log scale: at this sample size ~10 is mush, ~100 soft and 1000+ crisp.
+function getSharpnessScore(photo) {
+    const sharpness = state.photoSharpness.get(photo.id);
+    if (!sharpness) return null;
+    const variance = sharpness[state.sharpnessRegion] ?? sharpness.whole;
+    return Math.min(100, Math.round((Math.log10(1 + variance) / 3) * 100));
+}
+
+// Small focus score badge for grid, swipe and cluster tiles ('' until analyzed)
+function getSharpnessBadgeHtml(photo) {
+    const score = getSharpnessScore(photo);
+    if (score === null) return '';
+    
+    const level = score < state.blurThreshold ? 'blurry' : score < state.blurThreshold + 15 ? 'soft' : 'sharp';
+    return `<span class="sharpness-badge ${level}" title="Sharpness ${score}/100">${score}</span>`;
+}
+
+// Analyze any photos in the list that are missing sharpness or exposure measurements
+async function ensurePhotoAnalysis(photos, statusText) {
+    const missing = photos.filter(p => !state.photoSharpness.has(p.id) || !state.photoExposure.has(p.id));
+    if (missing.length === 0) return;
+    
+    await fingerprintPhotos(missing, statusText);
+    fingerprintCanvas = null;
+    fingerprintCtx = null;
+    analysisCanvas = null;
+    analysisCtx = null;
+    showScreen('selection-screen');
+}
+
+function openSharpnessModal() {
+    elements.sharpnessRegionOptions.querySelectorAll('.toggle-option').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.value === state.sharpnessRegion);
+    });
+    elements.blurThresholdSlider.value = state.blurThreshold;
+    updateSharpnessSummary();
+    elements.sharpnessModal.classList.remove('hidden');
+}
+
+function closeSharpnessModal() {
+    elements.sharpnessModal.classList.add('hidden');
+}
+
+function updateSharpnessSummary() {
+    elements.blurThresholdValue.textContent = state.blurThreshold;
+    
+    const analyzed = state.allPhotos.filter(p => state.photoSharpness.has(p.id));
+    const blurry = analyzed.filter(p => (getSharpnessScore(p) ?? Infinity) < state.blurThreshold);
+    const blurrySelected = blurry.filter(p => state.selectedIds.has(p.id));
+    
+    elements.sharpnessSummary.textContent = analyzed.length === 0
+        ? 'No photos analyzed yet. Actions below analyze the photos they need first.'
+        : `${analyzed.length} of ${state.allPhotos.length} photos analyzed • ${blurry.length} below ${state.blurThreshold} (${blurrySelected.length} selected)`;
+}
+
+// Redraw whichever selection view is showing (badges, selection state)
+function refreshSelectionView() {
+    if (state.viewMode === 'swipe') {
+        renderSwipeView();
+    } else if (state.viewMode === 'cluster') {
+        renderClusterView();
+    } else {
+        renderSelectionPage();
+    }
+    updateSelectionStats();
+}
+
+async function deselectBlurryPhotos() {
+    const selected = state.allPhotos.filter(p => state.selectedIds.has(p.id));
+    if (selected.length === 0) {
+        alert('No photos are selected.');
+        return;
+    }
+    
+    closeSharpnessModal();
+    await ensurePhotoAnalysis(selected, 'Measuring sharpness...');
+    
+    const blurry = selected.filter(p => (getSharpnessScore(p) ?? Infinity) < state.blurThreshold);
+    if (blurry.length === 0) {
+        alert(`No selected photos score below ${state.blurThreshold}.`);
+    } else if (confirm(`Deselect ${blurry.length} of ${selected.length} selected photos with sharpness below ${state.blurThreshold}?`)) {
+        blurry.forEach(p => state.selectedIds.delete(p.id));
+        scheduleSave();
+    }
+    
+    refreshSelectionView();
+}
+
+// Add the sharpest frame of every multi-photo cluster to the selection
+async function pickSharpestInClusters() {
+    closeSharpnessModal();
+    
+    if (state.clusters.length === 0) {
+        await buildClusters();
+    }
+    
+    const bursts = state.clusters.filter(cluster => cluster.length > 1);
+    if (bursts.length === 0) {
+        alert('No clusters with more than one photo were found.');
+        return;
+    }
+    
+    await ensurePhotoAnalysis(bursts.flat(), 'Measuring sharpness...');
+    
+    let added = 0;
+    for (const cluster of bursts) {
+        const sharpest = cluster.reduce((best, photo) =>
+            (getSharpnessScore(photo) ?? -1) > (getSharpnessScore(best) ?? -1) ? photo : best
+        );
+        if (!state.selectedIds.has(sharpest.id)) {
+            state.selectedIds.add(sharpest.id);
+            added++;
+        }
+    }
+    
+    alert(`Selected the sharpest frame in ${bursts.length} clusters (${added} newly selected).`);
+    scheduleSave();
+    refreshSelectionView();
+}
+
+// ============================================
+// Exposure - Histogram & Clipping Warnings
+// ============================================
+
+// Measured on the same luminance sample as sharpness. Histograms are kept at 64 bins,
+// which is plenty for the overlay and keeps the media cache records small.
+
+const HISTOGRAM_BINS = 64;
+const HIGHLIGHT_CLIP_LEVEL = 250; // Luminance at or above this counts as blown
+const SHADOW_CLIP_LEVEL = 5; // Luminance at or below this counts as crushed
+const OVEREXPOSED_CLIP_PERCENT = 5; // Flag when this much of the frame is blown...
+const OVEREXPOSED_BRIGHTNESS = 190; // ...or the average is this bright
+const UNDEREXPOSED_CLIP_PERCENT = 10; // Flag when this much of the frame is crushed...
+const UNDEREXPOSED_BRIGHTNESS = 50; // ...or the average is this dark
+
+function measureExposure(gray) {
+    const histogram = new Uint32Array(HISTOGRAM_BINS);
+    const binWidth = 256 / HISTOGRAM_BINS;
+    let highlights = 0;
+    let shadows = 0;
+    let sum = 0;
+    
+    for (let i = 0; i < gray.length; i++) {
+        const value = gray[i];
+        histogram[Math.floor(value / binWidth)]++;
+        if (value >= HIGHLIGHT_CLIP_LEVEL) highlights++;
+        if (value <= SHADOW_CLIP_LEVEL) shadows++;
+        sum += value;
+    }
+    
+    const n = gray.length || 1;
+    return {
+        histogram,
+        highlights: Math.round((highlights / n) * 1000) / 10, // Percent of the frame
+        shadows: Math.round((shadows / n) * 1000) / 10,
+        brightness: Math.round(sum / n) // Mean luminance, 0-255
+    };
+}
+
+// 'over', 'under' or null (also null until the photo has been analyzed)
+function getExposureFlag(photo) {
+    const exposure = state.photoExposure.get(photo.id);
+    if (!exposure) return null;
+    
+    if (exposure.highlights >= OVEREXPOSED_CLIP_PERCENT || exposure.brightness >= OVEREXPOSED_BRIGHTNESS) {
+        return 'over';
+    }
+    if (exposure.shadows >= UNDEREXPOSED_CLIP_PERCENT || exposure.brightness <= UNDEREXPOSED_BRIGHTNESS) {
+        return 'under';
+    }
+    return null;
+}
+
+// Luminance histogram as an SVG, with clipped ends tinted, plus the clipping numbers
+function getHistogramHtml(exposure) {
+    const max = Math.max(1, ...exposure.histogram);
+    const bars = Array.from(exposure.histogram, (count, i) => {
+        const height = Math.round((count / max) * 320) / 10;
+        const isClipped = i === 0 || i === HISTOGRAM_BINS - 1;
+        return `<rect x="${i}" y="${32 - height}" width="1" height="${height}"${isClipped && count > 0 ? ' class="clipped"' : ''}/>`;
+    }).join('');
+    
+    return `
+        <svg class="histogram-chart" viewBox="0 0 ${HISTOGRAM_BINS} 32" preserveAspectRatio="none">${bars}</svg>
+        <div class="histogram-stats">
+            <span class="${exposure.shadows >= UNDEREXPOSED_CLIP_PERCENT ? 'warning' : ''}">Shadows ${exposure.shadows}%</span>
+            <span>Avg ${exposure.brightness}</span>
+            <span class="${exposure.highlights >= OVEREXPOSED_CLIP_PERCENT ? 'warning' : ''}">Highlights ${exposure.highlights}%</span>
+        </div>
+    `;
+}
+
+// Fill a histogram overlay, analyzing the photo first if needed
+function renderHistogramPanel(panel, photo) {
+    panel.dataset.photoId = photo.id;
+    panel.classList.toggle('hidden', !state.showHistogram);
+    if (!state.showHistogram) return;
+    
+    const exposure = state.photoExposure.get(photo.id);
+    if (exposure) {
+        panel.innerHTML = getHistogramHtml(exposure);
+        return;
+    }
+    
+    panel.innerHTML = '<p class="histogram-pending">Analyzing…</p>';
+    createFingerprint(photo).then(() => {
+        // Only fill it in if the panel still shows this photo
+        if (panel.dataset.photoId === photo.id && state.photoExposure.has(photo.id)) {
+            renderHistogramPanel(panel, photo);
+        }
+    });
+}
+
+function togglePhotoHistogram() {
+    state.showHistogram = !state.showHistogram;
+    elements.swipeHistogramBtn.classList.toggle('active', state.showHistogram);
+    elements.viewerHistogramBtn.classList.toggle('active', state.showHistogram);
+    
+    const swipePhoto = state.allPhotos[state.swipeIndex];
+    if (swipePhoto) renderHistogramPanel(elements.swipeHistogramPanel, swipePhoto);
+    
+    const viewerPhoto = state.allPhotos.find(p => p.id === viewerPhotoId) ||
+                        state.candidates.find(p => p.id === viewerPhotoId);
+    if (viewerPhoto) renderHistogramPanel(elements.viewerHistogramPanel, viewerPhoto);
+}
+
+// Whether a photo passes every active grid filter chip (exposure, camera, lens)
+function matchesGridFilters(photo) {
+    if (state.exposureFilter && getExposureFlag(photo) !== state.exposureFilter) return false;
+    if (state.cameraFilter && photo.exif?.camera !== state.cameraFilter) return false;
+    if (state.lensFilter && photo.exif?.lens !== state.lensFilter) return false;
+    return true;
+}
+
+function hasGridFilters() {
+    return !!(state.exposureFilter || state.cameraFilter || state.lensFilter);
+}
+
+function getGridFilterKey() {
+    return [state.exposureFilter, state.cameraFilter, state.lensFilter].join('|');
+}
+
+// Photos shown in the grid: all of them, or only those matching the filter chips
+function getGridPhotos() {
+    if (!hasGridFilters()) return state.allPhotos;
+    return state.allPhotos.filter(matchesGridFilters);
+}
+
+// Grid position of a photo in state.allPhotos (or, if the filters hide it, of the next one shown)
+function getGridIndex(photoIndex) {
+    if (!hasGridFilters()) return photoIndex;
+    return state.allPhotos.slice(0, photoIndex).filter(matchesGridFilters).length;
+}
+
+function updateExposureFilterChips() {
+    const counts = { over: 0, under: 0 };
+    for (const photo of state.allPhotos) {
+        const flag = getExposureFlag(photo);
+        if (flag) counts[flag]++;
+    }
+    
+    elements.exposureFilterChips.querySelectorAll('.filter-chip').forEach(chip => {
+        const filter = chip.dataset.filter;
+        chip.classList.toggle('active', state.exposureFilter === filter);
+        chip.querySelector('.chip-count').textContent = counts[filter];
+    });
+}
+
+// One chip per camera and per lens in the folder, with its photo count. A field with a
+// single value can't narrow anything, so it gets no chips.
+function updateExifFilterChips() {
+    const counts = { camera: new Map(), lens: new Map() };
+    for (const photo of state.allPhotos) {
+        for (const field of ['camera', 'lens']) {
+            const value = photo.exif?.[field];
+            if (value) counts[field].set(value, (counts[field].get(value) || 0) + 1);
+        }
+    }
+    
+    const active = { camera: state.cameraFilter, lens: state.lensFilter };
+    const icons = { camera: '📷', lens: '🔭' };
+    let html = '';
+    for (const field of ['camera', 'lens']) {
+        if (counts[field].size < 2 && !active[field]) continue;
+        const values = [...counts[field]].sort((a, b) => b[1] - a[1]);
+        for (const [value, count] of values) {
+            html += `<button type="button" class="filter-chip${active[field] === value ? ' active' : ''}" data-field="${field}" data-value="${escapeHtml(value)}">${icons[field]} ${escapeHtml(value)} <span class="chip-count">${count}</span></button>`;
+        }
+    }
+    elements.exifFilterChips.innerHTML = html;
+}
+
+function setExifFilter(field, value) {
+    const key = field === 'camera' ? 'cameraFilter' : 'lensFilter';
+    state[key] = state[key] === value ? null : value;
+    
+    elements.selectionGrid.scrollTop = 0;
+    renderSelectionPage();
+}
+
+// Toggle a filter chip. Only photos without an exposure measurement are analyzed, and only
+// if the user agrees; otherwise the filter covers the photos measured so far.
+async function setExposureFilter(filter) {
+    state.exposureFilter = state.exposureFilter === filter ? null : filter;
+    
+    const unmeasured = state.exposureFilter ? state.allPhotos.filter(p => !state.photoExposure.has(p.id)) : [];
+    if (unmeasured.length > 0 && confirm(`Analyze the ${unmeasured.length} photos whose exposure hasn't been measured yet? Otherwise only the ${state.allPhotos.length - unmeasured.length} measured photos are filtered.`)) {
+        await ensurePhotoAnalysis(unmeasured, 'Analyzing exposure...');
+    }
+    
+    updateExposureFilterChips();
+    elements.selectionGrid.scrollTop = 0;
+    renderSelectionPage();
+}
+
+// ============================================
+// Best of Burst - Cluster Mini-Tournament
+// ============================================
+
+// King of the hill over one cluster: the current favourite meets each remaining
+// frame in turn, so n frames take n - 1 decisions. "Keep both" lets a challenger
+// win too without ending the favourite's run. Zoom is shared by both sides so the
+// same detail (eyes, focus point) is compared.
+
+// Running duel: { cluster, champion, challenger, queue, keepers, history }
+let burstDuel = null;
+let burstDuelZoom = { scale: 1, x: 0.5, y: 0.5 }; // Scale and focal point (fractions of the frame)
+
+const BURST_DUEL_MAX_ZOOM = 8;
+const BURST_DUEL_CLICK_DELAY = 250; // ms a click waits in case it's the start of a double-click (zoom reset)
+
+function openBurstDuel(clusterIndex) {
+    const cluster = state.clusters[clusterIndex];
+    if (!cluster || cluster.length < 2) return;
+    
+    burstDuel = {
+        cluster,
+        champion: cluster[0],
+        challenger: cluster[1],
+        queue: cluster.slice(2),
+        keepers: [], // Challengers kept alongside the champion
+        history: [] // Snapshots for undo
+    };
+    burstDuelZoom = { scale: 1, x: 0.5, y: 0.5 };
+    
+    elements.burstDuelModal.classList.remove('hidden');
+    renderBurstDuel();
+}
+
+function closeBurstDuel() {
+    burstDuel = null;
+    elements.burstDuelModal.classList.add('hidden');
+    elements.burstDuelSides.forEach(side => {
+        side.querySelector('img').src = '';
+    });
+}
+
+function renderBurstDuel() {
+    const { cluster, champion, challenger, queue, keepers, history } = burstDuel;
+    
+    elements.burstDuelProgress.textContent = `Duel ${cluster.length - queue.length - 1} of ${cluster.length - 1}`;
+    elements.burstDuelKeepers.textContent = keepers.length > 0 ? `+${keepers.length} also kept` : '';
+    elements.burstDuelUndo.disabled = history.length === 0;
+    
+    [champion, challenger].forEach((photo, index) => {
+        const side = elements.burstDuelSides[index];
+        const img = side.querySelector('img');
+        side.dataset.id = photo.id;
+        side.querySelector('.burst-duel-name').textContent = getPhotoDisplayName(photo);
+        img.src = state.thumbnailCache.get(photo.id) || '';
+        
+        getPhotoUrl(photo).then(url => {
+            // Still showing this photo?
+            if (burstDuel && side.dataset.id === photo.id) img.src = url;
+        });
+    });
+    
+    // Next challenger loads while this duel is decided
+    if (queue.length > 0) getPhotoUrl(queue[0]);
+    
+    applyBurstDuelZoom();
+}
+
+// winner: the photo that goes on; keeper: a losing frame to keep anyway
+function advanceBurstDuel(winner, keeper = null) {
+    const { champion, challenger, queue, keepers } = burstDuel;
+    burstDuel.history.push({ champion, challenger, queue: [...queue], keepers: [...keepers] });
+    
+    if (keeper) burstDuel.keepers.push(keeper);
+    burstDuel.champion = winner;
+    
+    // The last pick ends the duel, so it gets a last chance to be taken back
+    if (burstDuel.queue.length === 0) {
+        const others = burstDuel.keepers.length;
+        const kept = getPhotoDisplayName(winner) + (others > 0 ? ` and ${others} other frame${others === 1 ? '' : 's'}` : '');
+        if (confirm(`Keep ${kept} from this burst?\n\nCancel to change the last pick.`)) {
+            finishBurstDuel();
+        } else {
+            undoBurstDuel();
+        }
+        return;
+    }
+    
+    burstDuel.challenger = burstDuel.queue.shift();
+    renderBurstDuel();
+}
+
+// 0 = left (current favourite), 1 = right (challenger)
+function pickBurstDuelSide(index) {
+    if (!burstDuel) return;
+    advanceBurstDuel(index === 0 ? burstDuel.champion : burstDuel.challenger);
+}
+
+function keepBothInBurstDuel() {
+    if (!burstDuel) return;
+    advanceBurstDuel(burstDuel.champion, burstDuel.challenger);
+}
+
+function undoBurstDuel() {
+    if (!burstDuel || burstDuel.history.length === 0) return;
+    Object.assign(burstDuel, burstDuel.history.pop());
+    renderBurstDuel();
+}
+
+// Select the winner(s) and mark every frame that lost as seen.
+// Finishing early leaves frames that never got a turn untouched.
+function finishBurstDuel() {
+    if (!burstDuel) return;
+    
+    const { cluster, champion, keepers, history } = burstDuel;
+    const winners = new Set([champion, ...keepers]);
+    
+    // Everything that has been on screen so far
+    const judged = new Set([champion, burstDuel.challenger]);
+    history.forEach(step => {
+        judged.add(step.champion);
+        judged.add(step.challenger);
+    });
+    if (burstDuel.queue.length === 0) cluster.forEach(photo => judged.add(photo));
+    
+    for (const photo of cluster) {
+        if (winners.has(photo)) {
+            state.selectedIds.add(photo.id);
+            state.seenIds.delete(photo.id);
+        } else if (judged.has(photo)) {
+            state.seenIds.add(photo.id);
+        }
+    }
+    
+    console.log(`🏆 Best of burst: kept ${winners.size} of ${cluster.length}`);
+    
+    closeBurstDuel();
+    updateSelectionStats();
+    renderClusterView();
+    scheduleSave();
+}
+
+function applyBurstDuelZoom() {
+    const { scale, x, y } = burstDuelZoom;
+    elements.burstDuelSides.forEach(side => {
+        const img = side.querySelector('img');
+        img.style.transformOrigin = `${x * 100}% ${y * 100}%`;
+        img.style.transform = `scale(${scale})`;
+    });
+    elements.burstDuelZoomLevel.textContent = `${Math.round(scale * 100)}%`;
 }
 
-function toggleClusterExpand(clusterIndex) {
-    if (state.expandedClusters.has(clusterIndex)) {
-        state.expandedClusters.delete(clusterIndex);
-    } else {
-        state.expandedClusters.add(clusterIndex);
-    }
-    renderClusterView();
+// Zoom both sides together, towards a focal point given as fractions of the frame
+function zoomBurstDuel(factor, x = burstDuelZoom.x, y = burstDuelZoom.y) {
+    const scale = Math.min(BURST_DUEL_MAX_ZOOM, Math.max(1, burstDuelZoom.scale * factor));
+    burstDuelZoom = scale === 1 ? { scale: 1, x: 0.5, y: 0.5 } : { scale, x, y };
+    applyBurstDuelZoom();
 }
 
-function toggleSelectionInCluster(photoId) {
-    if (state.selectedIds.has(photoId)) {
-        state.selectedIds.delete(photoId);
-    } else {
-        state.selectedIds.add(photoId);
-    }
+// Pan both sides together by a drag of (dx, dy) pixels on a frame of the given size
+function panBurstDuel(dx, dy, width, height) {
+    const { scale } = burstDuelZoom;
+    if (scale <= 1) return;
     
-    // Update UI for this photo
-    const el = elements.clusterView.querySelector(`[data-id="${photoId}"]`);
-    if (el) {
-        el.classList.toggle('selected', state.selectedIds.has(photoId));
+    // Moving the transform origin by d shifts the image by -(scale - 1) * d
+    const clamp = (v) => Math.min(1, Math.max(0, v));
+    burstDuelZoom.x = clamp(burstDuelZoom.x - dx / ((scale - 1) * width));
+    burstDuelZoom.y = clamp(burstDuelZoom.y - dy / ((scale - 1) * height));
+    applyBurstDuelZoom();
+}
+
+function handleBurstDuelKey(e) {
+    if (e.key === '1' || e.key === 'ArrowLeft') {
+        e.preventDefault();
+        pickBurstDuelSide(0);
+    } else if (e.key === '2' || e.key === 'ArrowRight') {
+        e.preventDefault();
+        pickBurstDuelSide(1);
+    } else if (e.key === 'b' || e.key === 'B') {
+        keepBothInBurstDuel();
+    } else if (e.key === 'Backspace' || ((e.key === 'z' || e.key === 'Z') && (e.metaKey || e.ctrlKey))) {
+        e.preventDefault();
+        undoBurstDuel();
+    } else if (e.key === '+' || e.key === '=') {
+        zoomBurstDuel(1.5);
+    } else if (e.key === '-') {
+        zoomBurstDuel(1 / 1.5);
+    } else if (e.key === '0') {
+        zoomBurstDuel(0);
+    } else if (e.key === 'Escape') {
+        closeBurstDuel();
     }
-    
-    updateSelectionStats();
-    renderClusterView(); // Re-render to update cluster selected counts
-    scheduleSave();
 }
 
 // ============================================
@@ -1747,7 +5793,10 @@ async function renderSwipeView() {
     const isSelected = state.selectedIds.has(photo.id);
     
     // Update UI
-    elements.swipeFilename.textContent = photo.name;
+    elements.swipeFilename.textContent = getPhotoDisplayName(photo);
+    elements.swipeSharpness.innerHTML = getSharpnessBadgeHtml(photo);
+    renderPhotoInfoPanel(elements.swipeInfoPanel, photo);
+    renderHistogramPanel(elements.swipeHistogramPanel, photo);
     elements.swipeCounter.textContent = `${state.swipeIndex + 1} / ${state.allPhotos.length}`;
     elements.swipeBadge.classList.toggle('hidden', !isSelected);
     elements.swipeSelectBtn.classList.toggle('selected', isSelected);
@@ -1782,9 +5831,7 @@ async function preloadAdjacentSwipeImages() {
     
     for (const idx of indices) {
         const photo = state.allPhotos[idx];
-        if (!state.fullSizeCache.has(photo.id)) {
-            getPhotoUrl(photo); // Fire and forget
-        }
+        getPhotoUrl(photo); // Fire and forget (also marks cached neighbours as recently used)
     }
 }
 
@@ -1846,13 +5893,18 @@ function startRankingPhase() {
         .map(p => ({
             ...p,
             elo: ELO_DEFAULT,
+            glicko: createGlickoRating(),
             comparisons: 0
         }));
     
     state.comparisonHistory = [];
+    state.redoStack = [];
+    state.insertionOrder = [];
+    state.bracket = null;
     state.comparisonsCompleted = 0;
     state.currentPhase = 'ranking';
-    previousTopNSets = []; // Reset stability tracking
+    autoFinishOffered = false;
+    prepareRankingMode();
     
     elements.rankingPool.textContent = `Candidates: ${state.candidates.length}`;
     elements.targetDisplay.textContent = `Target: ${state.targetCount}`;
@@ -1863,8 +5915,50 @@ function startRankingPhase() {
     scheduleSave(); // Save phase transition
 }
 
+function updateConfidenceMeter() {
+    const confidence = calculateConfidence();
+    elements.confidenceFill.style.width = `${confidence}%`;
+    elements.confidencePercent.textContent = `${confidence}%`;
+    elements.autoFinishSelect.value = state.autoFinishCertainty;
+    return confidence;
+}
+
+// Borderline runs are always rating matches, whatever the ranking mode
+function getComparisonMode() {
+    return state.borderlineRun ? 'rating' : state.rankingMode;
+}
+
+function updateComparisonProgress(mode) {
+    if (state.reaskRun) {
+        const { queue, done } = state.reaskRun;
+        elements.comparisonProgress.textContent = `Re-asking ${done.length + 1} of ${done.length + queue.length}`;
+    } else if (state.borderlineRun) {
+        elements.comparisonProgress.textContent = `Borderline comparison ${BORDERLINE_RUN_LENGTH - state.borderlineRun.remaining + 1} of ${BORDERLINE_RUN_LENGTH}`;
+    } else if (mode === 'insertion') {
+        const { sorted, remaining } = getInsertionProgress();
+        elements.comparisonProgress.textContent = `Placing photo ${sorted.length + 1} of ${state.candidates.length} · about ${remaining} left`;
+    } else if (mode === 'bracket') {
+        const { next } = getBracketProgress();
+        elements.comparisonProgress.textContent = `Bracket round ${next.round} · match ${next.index} of ${next.count}`;
+    } else {
+        elements.comparisonProgress.textContent = `Comparison ${state.comparisonsCompleted + 1}`;
+    }
+}
+
 async function showNextComparison() {
-    const pair = getNextPair();
+    // Update confidence
+    const confidence = updateConfidenceMeter();
+    
+    if (offerAutoFinish(confidence)) return;
+    
+    // Re-asks come first; otherwise a hidden consistency check now and then (a full sort
+    // or a bracket asks only what it needs)
+    const mode = getComparisonMode();
+    const probe = state.reaskRun || state.borderlineRun || mode !== 'rating' ? null : getConsistencyProbe();
+    const pair = state.reaskRun ? getReaskPair()
+        : mode === 'insertion' ? getInsertionPair()
+        : mode === 'bracket' ? getBracketPair()
+        : probe ? probe.pair : getNextMatch();
     
     if (!pair) {
         finishRanking();
@@ -1873,24 +5967,27 @@ async function showNextComparison() {
     
     state.currentPair = pair;
     state.currentSelection = new Set();
-    
-    // Update progress
-    elements.comparisonProgress.textContent = `Comparison ${state.comparisonsCompleted + 1}`;
-    
-    // Update confidence
-    const confidence = calculateConfidence();
-    elements.confidenceFill.style.width = `${confidence}%`;
-    elements.confidencePercent.textContent = `${confidence}%`;
-    
-    // Render the pair with placeholder, then load full-size images
-    elements.rankingArena.className = 'ranking-arena grid-2';
+    state.currentProbe = probe && { type: probe.type, expected: probe.expected };
+    state.currentBracketMatch = mode === 'bracket' && !state.reaskRun;
+    
+    updateComparisonProgress(mode);
+    elements.rankingModeSelect.value = state.rankingMode;
+    elements.bracketFormatSelect.value = state.bracketFormat;
+    elements.bracketSeedingSelect.value = state.bracketSeeding;
+    elements.rankingScreen.dataset.mode = mode;
+    elements.rankingModelSelect.value = state.rankingModel;
+    elements.pairingStrategySelect.value = state.pairingStrategy;
+    elements.groupSizeSelect.value = state.groupSize;
+    
+    // Render the match with placeholders, then load full-size images
+    elements.rankingArena.className = `ranking-arena grid-${pair.length}`;
     elements.rankingArena.innerHTML = pair.map((photo, index) => `
         <div class="ranking-photo" data-id="${photo.id}" data-index="${index}">
             <span class="photo-number">${index + 1}</span>
             <img src="${state.thumbnailCache.get(photo.id) || ''}" alt="${photo.name}" class="loading">
             <button class="zoom-btn" data-id="${photo.id}">🔍</button>
             <span class="photo-name">${photo.name}</span>
-            <span class="photo-elo">Rating: ${Math.round(photo.elo)}</span>
+            <span class="photo-elo">Rating: ${formatRating(photo)}</span>
         </div>
     `).join('');
     
@@ -1924,14 +6021,15 @@ async function showNextComparison() {
     
     updateRankingConfirmButton();
     elements.undoComparison.disabled = state.comparisonHistory.length === 0;
+    elements.redoComparison.disabled = state.redoStack.length === 0;
 }
 
 function toggleRankingSelection(photoId) {
     if (state.currentSelection.has(photoId)) {
         state.currentSelection.delete(photoId);
     } else {
-        // In head-to-head, only one can be selected at a time
-        state.currentSelection.clear();
+        // In head-to-head, only one can be selected at a time; larger matches allow several favorites
+        if (state.currentPair.length === 2) state.currentSelection.clear();
         state.currentSelection.add(photoId);
     }
     
@@ -1943,100 +6041,661 @@ function toggleRankingSelection(photoId) {
 }
 
 function updateRankingConfirmButton() {
-    const hasSelection = state.currentSelection.size > 0;
-    elements.confirmRanking.disabled = !hasSelection;
-    elements.confirmRanking.textContent = hasSelection ? 'Confirm Winner' : 'Select a photo';
+    const count = state.currentSelection.size;
+    elements.confirmRanking.disabled = count === 0;
+    elements.confirmRanking.textContent = count === 0 ? 'Select a photo' : count === 1 ? 'Confirm Winner' : 'Confirm Favorites';
 }
 
-function confirmComparison() {
-    const [photoA, photoB] = state.currentPair;
-    const winnerId = [...state.currentSelection][0];
-    
-    // Save state for undo
-    state.comparisonHistory.push({
-        a: photoA.id,
-        b: photoB.id,
-        winner: winnerId,
-        prevEloA: photoA.elo,
-        prevEloB: photoB.elo,
-        prevCompA: photoA.comparisons,
-        prevCompB: photoB.comparisons
-    });
-    
-    // Update Elo ratings
-    const winner = state.candidates.find(p => p.id === winnerId);
-    const loser = state.candidates.find(p => p.id !== winnerId && (p.id === photoA.id || p.id === photoB.id));
-    
-    if (winner && loser) {
-        updateEloRatings(winner, loser);
+// Update the ratings for a finished match and log one history entry per pairwise game.
+// Every entry keeps the ratings from before the match, so undo can restore them.
+// A consistency check (probe) is logged with the answer it expects.
+function recordMatch(photos, winnerIds, probe = null) {
+    const outcomes = getMatchOutcomes(photos, winnerIds);
+    const matchId = state.comparisonHistory.reduce((max, h) => Math.max(max, h.match ?? 0), 0) + 1;
+    const groupFields = photos.length > 2 ? { match: matchId, weight: getMatchWeight(photos.length) } : {};
+    const probeFields = probe ? { probe: probe.type, expected: probe.expected } : {};
+    const bracketFields = state.currentBracketMatch ? { bracket: state.bracket.id } : {};
+    
+    for (const { a, b, scoreA } of outcomes) {
+        state.comparisonHistory.push({
+            a: a.id,
+            b: b.id,
+            winner: scoreA === 0.5 ? null : scoreA === 1 ? a.id : b.id, // null = tie
+            ...groupFields,
+            ...probeFields,
+            ...bracketFields,
+            prevEloA: a.elo,
+            prevEloB: b.elo,
+            prevGlickoA: { ...a.glicko },
+            prevGlickoB: { ...b.glicko },
+            prevCompA: a.comparisons,
+            prevCompB: b.comparisons
+        });
     }
     
+    updateMatchRatings(photos, outcomes);
     state.comparisonsCompleted++;
-    showNextComparison();
+    state.redoStack = []; // A new answer replaces whatever was undone
+    countMatchTowardsRun();
+}
+
+// Borderline and re-ask runs count down as matches are answered (and back up on undo)
+function countMatchTowardsRun() {
+    if (state.borderlineRun) state.borderlineRun.remaining--;
+    
+    // The new answer supersedes the one that was asked again, which drops out of the ratings
+    if (state.reaskRun?.queue.length) {
+        const original = state.reaskRun.queue.shift();
+        original.reasked = true;
+        state.reaskRun.done.push(original);
+        replayRatings();
+    }
+}
+
+function uncountMatchFromRun() {
+    if (state.borderlineRun && state.borderlineRun.remaining < BORDERLINE_RUN_LENGTH) {
+        state.borderlineRun.remaining++;
+    }
+    if (state.reaskRun?.done.length) {
+        const original = state.reaskRun.done.pop();
+        delete original.reasked;
+        state.reaskRun.queue.unshift(original);
+        replayRatings();
+    }
+}
+
+// Next match, or back to the results once a borderline run is used up
+function advanceRanking() {
+    if ((state.borderlineRun && state.borderlineRun.remaining <= 0) || state.reaskRun?.queue.length === 0) {
+        finishRanking();
+    } else {
+        showNextComparison();
+    }
+}
+
+function confirmComparison() {
+    recordMatch(state.currentPair, state.currentSelection, state.currentProbe);
+    advanceRanking();
     scheduleSave(); // Auto-save after comparison
 }
 
 function skipComparison() {
-    const [photoA, photoB] = state.currentPair;
-    
-    // Save state for undo
-    state.comparisonHistory.push({
-        a: photoA.id,
-        b: photoB.id,
-        winner: null, // tie
-        prevEloA: photoA.elo,
-        prevEloB: photoB.elo,
-        prevCompA: photoA.comparisons,
-        prevCompB: photoB.comparisons
-    });
-    
     // Treat as tie
-    updateEloTie(photoA, photoB);
-    
-    state.comparisonsCompleted++;
-    showNextComparison();
+    recordMatch(state.currentPair, new Set(), state.currentProbe);
+    advanceRanking();
 }
 
 function undoComparison() {
     if (state.comparisonHistory.length === 0) return;
     
-    const lastComparison = state.comparisonHistory.pop();
+    // A multi-photo match is several entries; undo takes them all back
+    const lastMatch = groupHistoryIntoMatches(state.comparisonHistory).pop();
+    state.comparisonHistory.length -= lastMatch.length;
     
-    // Restore Elo ratings
-    const photoA = state.candidates.find(p => p.id === lastComparison.a);
-    const photoB = state.candidates.find(p => p.id === lastComparison.b);
-    
-    if (photoA) {
-        photoA.elo = lastComparison.prevEloA;
-        photoA.comparisons = lastComparison.prevCompA;
-    }
-    if (photoB) {
-        photoB.elo = lastComparison.prevEloB;
-        photoB.comparisons = lastComparison.prevCompB;
+    // Restore Elo and Glicko-2 ratings (every entry holds the values from before the match)
+    for (const entry of lastMatch) {
+        const photoA = state.candidates.find(p => p.id === entry.a);
+        const photoB = state.candidates.find(p => p.id === entry.b);
+        
+        if (photoA) {
+            photoA.elo = entry.prevEloA;
+            photoA.glicko = entry.prevGlickoA || photoA.glicko;
+            photoA.comparisons = entry.prevCompA;
+        }
+        if (photoB) {
+            photoB.elo = entry.prevEloB;
+            photoB.glicko = entry.prevGlickoB || photoB.glicko;
+            photoB.comparisons = entry.prevCompB;
+        }
     }
     
     state.comparisonsCompleted--;
+    state.redoStack.push(lastMatch);
+    uncountMatchFromRun();
     showNextComparison();
 }
 
+// Answer an undone match again the same way (from the current ratings)
+function redoComparison() {
+    const entries = state.redoStack.pop();
+    if (!entries) return;
+    
+    applyHistoryMatch(entries, new Map(state.candidates.map(p => [p.id, p])));
+    state.comparisonHistory.push(...entries);
+    state.comparisonsCompleted++;
+    countMatchTowardsRun();
+    
+    advanceRanking();
+    scheduleSave();
+}
+
+// Set once the auto-finish offer has been made, so declining it doesn't bring it back
+// after every comparison. It comes back if confidence dips below the threshold again.
+let autoFinishOffered = false;
+
+// Returns true if the user accepted and ranking finished
+function offerAutoFinish(confidence) {
+    if (state.rankingMode !== 'rating') return false; // A sort or bracket finishes when it's played out
+    if (!state.autoFinishCertainty || confidence < state.autoFinishCertainty) {
+        autoFinishOffered = false;
+        return false;
+    }
+    if (autoFinishOffered || state.comparisonsCompleted === 0) return false;
+    
+    autoFinishOffered = true;
+    if (!confirm(`Every photo is now at least ${state.autoFinishCertainty}% certain to be on the right side of the top ${state.targetCount}. Finish and see results?`)) {
+        return false;
+    }
+    finishRanking();
+    return true;
+}
+
+function setAutoFinishCertainty(certainty) {
+    state.autoFinishCertainty = certainty;
+    autoFinishOffered = false;
+    scheduleSave();
+}
+
+function setGroupSize(size) {
+    if (!GROUP_SIZES.includes(size)) return;
+    
+    state.groupSize = size;
+    elements.groupSizeSelect.value = size;
+    scheduleSave();
+    
+    // Nothing has been picked yet, so deal a match of the new size
+    if (state.currentPhase === 'ranking' && state.currentPair && state.currentSelection.size === 0) {
+        showNextComparison();
+    }
+}
+
 function finishRanking() {
-    // Sort by Elo rating and take top N
-    state.candidates.sort((a, b) => b.elo - a.elo);
+    // Sort by the current model's rating (or the full sort's order) and take top N
+    state.candidates = getRankedCandidates();
     state.currentPhase = 'results';
+    state.borderlineRun = null;
+    state.reaskRun = null;
+    
+    showResults();
+    scheduleSave(); // Save final results
+}
+
+function continueRanking() {
+    // Go back to ranking phase from results
+    state.currentPhase = 'ranking';
+    autoFinishOffered = true; // The user chose to keep going
+    
+    showScreen('ranking-screen');
+    elements.rankingPool.textContent = `Candidates: ${state.candidates.length}`;
+    elements.targetDisplay.textContent = `Target: ${state.targetCount}`;
+    showNextComparison();
+    
+    scheduleSave();
+}
+
+// ============================================
+// Full Sort - Binary Insertion
+// ============================================
+
+// For small pools (40–80 photos) a complete, stable order is more useful than ratings,
+// e.g. for album sequencing. Each candidate in turn is inserted into a sorted list by
+// binary search, about n·log₂n head-to-head questions in all.
+//
+// Nothing but the insertion order is stored: the sorted list is rebuilt from the answers
+// in the comparison history, so undo, redo, history edits and re-asks all just work.
+// A tie places the new photo below the one it tied with.
+
+function setRankingMode(mode) {
+    if (!RANKING_MODE_LABELS[mode]) return;
+    
+    state.rankingMode = mode;
+    prepareRankingMode();
+    elements.rankingModeSelect.value = mode;
+    elements.reviewRankingModeSelect.value = mode;
+    scheduleSave();
+    
+    // Nothing has been picked yet, so ask the new mode's question instead
+    if (state.currentPhase === 'ranking' && state.currentPair && state.currentSelection.size === 0) {
+        showNextComparison();
+    }
+}
+
+// The sort needs an insertion order and the bracket a draw before either can ask anything.
+// They are set up here, when the mode is entered or the candidates change, so reading their
+// progress never changes state. added is the number of candidates just added.
+function prepareRankingMode(added = 0) {
+    // A bracket can't take new entrants halfway, so it is drawn again with them
+    if (added > 0 && state.bracket) {
+        state.bracket = null;
+        if (state.rankingMode === 'bracket') {
+            alert('The bracket will be drawn again to include the new candidates. Earlier results still count towards the ratings.');
+        }
+    }
+    
+    if (state.rankingMode === 'insertion') syncInsertionOrder();
+    if (state.rankingMode === 'bracket' && !state.bracket) createBracket();
+}
+
+// Keep the insertion order in step with the candidates: photos added later are inserted last
+function syncInsertionOrder() {
+    const ids = new Set(state.candidates.map(p => p.id));
+    const order = state.insertionOrder.filter(id => ids.has(id));
+    const queued = new Set(order);
+    const added = state.candidates.filter(p => !queued.has(p.id)).map(p => p.id);
+    state.insertionOrder = [...order, ...shuffleArray(added)];
+}
+
+// Latest head-to-head answer per pair (multi-photo matches don't say who beat whom directly)
+function getHeadToHeadAnswers() {
+    const answers = new Map();
+    for (const entry of state.comparisonHistory) {
+        if (entry.match == null && !entry.reasked) answers.set(getPairKey(entry.a, entry.b), entry);
+    }
+    return answers;
+}
+
+// Replay the sort as far as the answers go. Returns { sorted, next, remaining }: the photos
+// placed so far (best first), the question to ask next ([new photo, photo in the list], or
+// null once every photo is placed) and a rough count of the questions still to come.
+function getInsertionProgress() {
+    const byId = new Map(state.candidates.map(p => [p.id, p]));
+    const order = state.insertionOrder.filter(id => byId.has(id));
+    const answers = getHeadToHeadAnswers();
+    const sorted = [];
+    
+    for (const [index, id] of order.entries()) {
+        const photo = byId.get(id);
+        let low = 0;
+        let high = sorted.length;
+        
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            const answer = answers.get(getPairKey(id, sorted[mid].id));
+            if (!answer) {
+                // Still to ask: the rest of this search, then one for every photo after it
+                let remaining = Math.ceil(Math.log2(high - low + 1));
+                for (let size = index + 1; size < order.length; size++) {
+                    remaining += Math.ceil(Math.log2(size + 1));
+                }
+                return { sorted, next: [photo, sorted[mid]], remaining };
+            }
+            
+            if (answer.winner === id) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        sorted.splice(low, 0, photo);
+    }
+    
+    return { sorted, next: null, remaining: 0 };
+}
+
+function getInsertionPair() {
+    const { next } = getInsertionProgress();
+    return next && shuffleArray(next);
+}
+
+// ============================================
+// Bracket - Single and Double Elimination
+// ============================================
+
+// A knockout tournament down to the target count: photos are seeded by rating (or at
+// random), and each round pairs the best remaining seed with the worst. When fewer
+// eliminations are needed than a full round would make, the top seeds get a bye. In
+// double elimination a photo is out after its second loss.
+//
+// Like the full sort, only the draw is stored: results are read back from the bracket's
+// entries in the history, so undo, redo and history edits replay the bracket. A tie
+// sends the better seed through.
+
+// Screen to return to when leaving the bracket view
+let bracketReturnScreen = 'ranking-screen';
+
+function createBracket() {
+    const photos = state.bracketSeeding === 'random'
+        ? shuffleArray(state.candidates)
+        : [...state.candidates].sort((a, b) => getRating(b) - getRating(a));
+    
+    state.bracket = {
+        id: state.comparisonHistory.reduce((max, h) => Math.max(max, h.bracket ?? 0), 0) + 1,
+        format: state.bracketFormat,
+        seeds: photos.map(p => p.id)
+    };
+}
+
+// Pairs for the next round, best seed first. alive is in seed order; losses counts each
+// photo's defeats so far.
+function planBracketRound(alive, losses, format) {
+    const needed = alive.length - state.targetCount; // Eliminations still to go
+    
+    // The lowest seeds play (best of them against worst), the rest have a bye
+    const pairUp = (ids, count) => {
+        const playing = ids.slice(ids.length - count * 2);
+        return Array.from({ length: count }, (_, i) => [playing[i], playing[playing.length - 1 - i]]);
+    };
+    
+    if (format === 'single') {
+        return pairUp(alive, Math.min(Math.floor(alive.length / 2), needed));
+    }
+    
+    const unbeaten = alive.filter(id => losses.get(id) === 0);
+    const beaten = alive.filter(id => losses.get(id) === 1);
+    const losersMatches = Math.min(Math.floor(beaten.length / 2), needed);
+    
+    // Winners' matches knock nobody out, they only feed the losers' side: play just enough
+    // to keep it supplied
+    const neededLater = needed - losersMatches;
+    let winnersMatches = Math.min(
+        Math.floor(unbeaten.length / 2),
+        Math.max(0, neededLater + 1 - (beaten.length - losersMatches))
+    );
+    
+    if (winnersMatches + losersMatches === 0) {
+        if (unbeaten.length < 2) return [[unbeaten[0], beaten[0]]]; // The last unbeaten photo meets the last beaten one
+        winnersMatches = 1;
+    }
+    
+    return [...pairUp(unbeaten, winnersMatches), ...pairUp(beaten, losersMatches)];
+}
+
+// Replay the bracket as far as the answers go. Returns { rounds, next, alive, eliminated }:
+// every round so far ({ matches: [{ a, b, side, winner }], byes }), the match to play next
+// ({ match, round, index, count }, or null once the bracket is decided), the photos still
+// in (seed order) and the photos knocked out, first out first.
+function getBracketProgress() {
+    const { id, format, seeds } = state.bracket;
+    const candidateIds = new Set(state.candidates.map(p => p.id));
+    const entrants = seeds.filter(seed => candidateIds.has(seed));
+    const seedRank = new Map(seeds.map((seed, index) => [seed, index]));
+    const maxLosses = format === 'double' ? 2 : 1;
+    const losses = new Map(entrants.map(seed => [seed, 0]));
+    const answers = state.comparisonHistory.filter(entry => entry.bracket === id);
+    const rounds = [];
+    const eliminated = [];
+    let cursor = 0;
+    
+    for (;;) {
+        const alive = entrants.filter(seed => losses.get(seed) < maxLosses);
+        if (alive.length <= state.targetCount || alive.length < 2) {
+            return { rounds, next: null, alive, eliminated };
+        }
+        
+        const pairs = planBracketRound(alive, losses, format);
+        const playing = new Set(pairs.flat());
+        const round = { matches: [], byes: alive.filter(seed => !playing.has(seed)) };
+        rounds.push(round);
+        let next = null;
+        
+        for (const [a, b] of pairs) {
+            const side = format === 'single' ? null
+                : losses.get(a) !== losses.get(b) ? 'final'
+                : losses.get(a) === 0 ? 'winners' : 'losers';
+            const match = { a, b, side, winner: null };
+            round.matches.push(match);
+            
+            // Answers are given in match order; any that no longer fit (after an edit) are passed over
+            const key = getPairKey(a, b);
+            const index = answers.findIndex((entry, i) => i >= cursor && getPairKey(entry.a, entry.b) === key);
+            if (index === -1) {
+                next ??= { match, round: rounds.length, index: round.matches.length, count: pairs.length };
+                continue;
+            }
+            
+            cursor = index + 1;
+            match.winner = answers[index].winner ?? (seedRank.get(a) < seedRank.get(b) ? a : b);
+        }
+        
+        if (next) return { rounds, next, alive, eliminated };
+        
+        for (const match of round.matches) {
+            const loser = match.winner === match.a ? match.b : match.a;
+            losses.set(loser, losses.get(loser) + 1);
+            if (losses.get(loser) >= maxLosses) eliminated.push(loser);
+        }
+    }
+}
+
+function getBracketPair() {
+    const { next } = getBracketProgress();
+    if (!next) return null;
+    
+    const photoA = state.candidates.find(p => p.id === next.match.a);
+    const photoB = state.candidates.find(p => p.id === next.match.b);
+    return shuffleArray([photoA, photoB]);
+}
+
+function setBracketFormat(format) {
+    if (!BRACKET_FORMAT_LABELS[format]) return;
+    
+    const previous = state.bracketFormat;
+    state.bracketFormat = format;
+    if (!redrawBracket()) state.bracketFormat = previous;
+    elements.bracketFormatSelect.value = state.bracketFormat;
+}
+
+function setBracketSeeding(seeding) {
+    if (!BRACKET_SEEDING_LABELS[seeding]) return;
+    
+    const previous = state.bracketSeeding;
+    state.bracketSeeding = seeding;
+    if (!redrawBracket()) state.bracketSeeding = previous;
+    elements.bracketSeedingSelect.value = state.bracketSeeding;
+}
+
+// Draw a new bracket with the current settings. Returns false if the user kept the old one.
+function redrawBracket() {
+    const played = state.bracket && state.comparisonHistory.some(entry => entry.bracket === state.bracket.id);
+    if (played && !confirm('Draw a new bracket? Matches played so far still count towards the ratings, but the bracket starts over.')) {
+        return false;
+    }
+    
+    createBracket();
+    scheduleSave();
+    
+    if (document.getElementById('bracket-screen').classList.contains('active')) {
+        renderBracket();
+    } else if (state.currentPhase === 'ranking' && state.rankingMode === 'bracket' && state.currentPair) {
+        showNextComparison(); // The current match may not be in the new draw
+    }
+    return true;
+}
+
+function openBracketScreen() {
+    bracketReturnScreen = state.currentPhase === 'results' ? 'results-screen' : 'ranking-screen';
+    renderBracket();
+    showScreen('bracket-screen');
+}
+
+function closeBracketScreen() {
+    showScreen(bracketReturnScreen);
+}
+
+function playBracket() {
+    if (getBracketProgress().next) {
+        continueRanking();
+    } else {
+        finishRanking();
+    }
+}
+
+function renderBracket() {
+    const { rounds, next, alive } = getBracketProgress();
+    const byId = new Map(state.candidates.map(p => [p.id, p]));
+    const seedNumber = new Map(state.bracket.seeds.map((id, index) => [id, index + 1]));
+    
+    elements.bracketStatus.textContent = next
+        ? `${alive.length} of ${seedNumber.size} still in · top ${state.targetCount} go through · ${BRACKET_FORMAT_LABELS[state.bracket.format]}`
+        : `Decided: ${alive.length} through · ${BRACKET_FORMAT_LABELS[state.bracket.format]}`;
+    elements.bracketPlay.textContent = next ? 'Play Next Match →' : 'See Results →';
+    
+    const playerHtml = (id, className = '') => {
+        const photo = byId.get(id);
+        return `
+            <div class="bracket-player ${className}" data-id="${id}" title="${photo.name}">
+                <img src="${state.thumbnailCache.get(id) || ''}" alt="${photo.name}">
+                <span class="bracket-seed">#${seedNumber.get(id)}</span>
+                <span class="bracket-name">${photo.name}</span>
+            </div>
+        `;
+    };
+    const resultClass = (match, id) => !match.winner ? '' : match.winner === id ? 'winner' : 'loser';
+    
+    const roundsHtml = rounds.map((round, index) => `
+        <div class="bracket-round">
+            <h3 class="section-label">Round ${index + 1}</h3>
+            ${round.matches.map(match => `
+                <div class="bracket-match ${next?.match === match ? 'current' : ''}">
+                    ${match.side ? `<span class="bracket-side">${BRACKET_SIDE_LABELS[match.side]}</span>` : ''}
+                    ${playerHtml(match.a, resultClass(match, match.a))}
+                    ${playerHtml(match.b, resultClass(match, match.b))}
+                </div>
+            `).join('')}
+            ${round.byes.length > 0 ? `<p class="bracket-byes">Bye: ${round.byes.map(id => `#${seedNumber.get(id)}`).join(', ')}</p>` : ''}
+        </div>
+    `).join('');
+    
+    const survivorsHtml = next ? '' : `
+        <div class="bracket-round bracket-survivors">
+            <h3 class="section-label">Through</h3>
+            ${alive.map(id => playerHtml(id, 'winner')).join('')}
+        </div>
+    `;
+    
+    elements.bracketView.innerHTML = roundsHtml + survivorsHtml;
+    
+    elements.bracketView.querySelectorAll('.bracket-player').forEach(el => {
+        el.addEventListener('click', () => openPhotoViewer(el.dataset.id));
+    });
+}
+
+// ============================================
+// Comparison History - Review and Edit
+// ============================================
+
+// Lists every match, newest first. Any of them can be flipped, turned into a tie or
+// deleted; the ratings are then rebuilt by replaying the whole edited history, so a
+// mistake made 40 comparisons ago is fixed as if it never happened.
+
+function openHistoryModal() {
+    renderHistoryList();
+    elements.historyModal.classList.remove('hidden');
+}
+
+function closeHistoryModal() {
+    elements.historyModal.classList.add('hidden');
+}
+
+// Photo IDs of a match, in the order they were first logged
+function getMatchPhotoIds(entries) {
+    const ids = [];
+    for (const entry of entries) {
+        if (!ids.includes(entry.a)) ids.push(entry.a);
+        if (!ids.includes(entry.b)) ids.push(entry.b);
+    }
+    return ids;
+}
+
+function renderHistoryList() {
+    const matches = groupHistoryIntoMatches(state.comparisonHistory);
+    const byId = new Map(state.candidates.map(p => [p.id, p]));
+    
+    elements.historySummary.textContent = matches.length === 0
+        ? 'No comparisons yet.'
+        : `${matches.length} match${matches.length === 1 ? '' : 'es'}. Edits replay the whole history with the new answers.`;
+    
+    elements.historyList.innerHTML = matches.map((entries, index) => {
+        const winners = new Set(entries.map(e => e.winner).filter(id => id != null));
+        const isTie = winners.size === 0;
+        const photos = getMatchPhotoIds(entries).map(id => byId.get(id)).filter(Boolean);
+        const result = isTie
+            ? 'Tie'
+            : photos.filter(p => winners.has(p.id)).map(p => p.name).join(', ');
+        
+        return `
+            <div class="history-row" data-index="${index}">
+                <span class="history-number">#${index + 1}</span>
+                <div class="history-photos">
+                    ${photos.map(photo => `
+                        <div class="history-photo ${winners.has(photo.id) ? 'winner' : ''}" data-id="${photo.id}" title="${photo.name}">
+                            <img src="${state.thumbnailCache.get(photo.id) || ''}" alt="${photo.name}">
+                            ${winners.has(photo.id) ? '<span class="history-mark">✓</span>' : ''}
+                        </div>
+                    `).join('')}
+                </div>
+                <span class="history-result">${isTie ? '' : '🏆 '}${result}${entries[0].probe ? ' <span class="history-tag">check</span>' : ''}</span>
+                <div class="history-actions">
+                    <button class="secondary-btn small" data-action="flip" ${isTie ? 'disabled' : ''} title="Swap winners and losers">⇄ Flip</button>
+                    <button class="secondary-btn small" data-action="tie" ${isTie ? 'disabled' : ''} title="Make every photo equal">= Tie</button>
+                    <button class="secondary-btn small" data-action="delete" title="Remove this match">🗑 Delete</button>
+                </div>
+            </div>
+        `;
+    }).reverse().join('');
+    
+    elements.historyList.querySelectorAll('.history-photo').forEach(el => {
+        el.addEventListener('click', () => openPhotoViewer(el.dataset.id));
+    });
+    elements.historyList.querySelectorAll('.history-actions button').forEach(btn => {
+        btn.addEventListener('click', () => {
+            editHistoryMatch(parseInt(btn.closest('.history-row').dataset.index, 10), btn.dataset.action);
+        });
+    });
+}
+
+// action: 'flip' (winners and losers swap), 'tie' or 'delete'
+function editHistoryMatch(matchIndex, action) {
+    const matches = groupHistoryIntoMatches(state.comparisonHistory);
+    const entries = matches[matchIndex];
+    if (!entries) return;
+    
+    if (action === 'delete' && !confirm(`Delete match #${matchIndex + 1} and recompute the ratings without it?`)) {
+        return;
+    }
+    
+    if (action === 'flip') {
+        matches[matchIndex] = entries.map(entry => ({
+            ...entry,
+            winner: entry.winner == null ? null : entry.winner === entry.a ? entry.b : entry.a
+        }));
+    } else if (action === 'tie') {
+        // Same as skipping the match: a tie between every pair of its photos
+        const ids = getMatchPhotoIds(entries);
+        matches[matchIndex] = ids.flatMap((a, i) => ids.slice(i + 1).map(b => ({ ...entries[0], a, b, winner: null })));
+    } else if (action === 'delete') {
+        matches[matchIndex] = [];
+        
+        // A deleted borderline match gives the run its turn back
+        if (state.borderlineRun && matchIndex < state.borderlineRun.start) {
+            state.borderlineRun.start--;
+        } else if (state.borderlineRun) {
+            state.borderlineRun.remaining++;
+        }
+    }
     
-    showResults();
-    scheduleSave(); // Save final results
-}
-
-function continueRanking() {
-    // Go back to ranking phase from results
-    state.currentPhase = 'ranking';
+    // A new array so cached fits see the change
+    state.comparisonHistory = matches.flat();
+    state.redoStack = []; // Undone matches were answered against the old history
+    if (state.reaskRun) {
+        // Edited or deleted answers don't need asking again
+        const remaining = new Set(state.comparisonHistory);
+        state.reaskRun.queue = state.reaskRun.queue.filter(entry => remaining.has(entry));
+    }
+    replayRatings();
     
-    showScreen('ranking-screen');
-    elements.rankingPool.textContent = `Candidates: ${state.candidates.length}`;
-    elements.targetDisplay.textContent = `Target: ${state.targetCount}`;
-    showNextComparison();
+    if (state.currentPhase === 'results') {
+        finishRanking();
+    } else if (state.currentPhase === 'ranking' && getComparisonMode() !== 'rating') {
+        showNextComparison(); // The edit can change which question the sort or bracket asks next
+    } else if (state.currentPhase === 'ranking' && state.currentPair) {
+        refreshCurrentMatchRatings();
+        updateComparisonProgress('rating');
+        elements.undoComparison.disabled = state.comparisonHistory.length === 0;
+        elements.redoComparison.disabled = true;
+    }
     
+    renderHistoryList();
     scheduleSave();
 }
 
@@ -2047,7 +6706,7 @@ function continueRanking() {
 async function showResults() {
     showScreen('results-screen');
     
-    // Take top N by Elo
+    // Take top N (candidates were sorted by finishRanking)
     const topPhotos = state.candidates.slice(0, state.targetCount);
     state.finalSelection = topPhotos;
     
@@ -2055,12 +6714,29 @@ async function showResults() {
     await preloadThumbnails(topPhotos);
     
     elements.finalCount.textContent = `${topPhotos.length} photos selected`;
-    
+    elements.resultsModelSelect.value = state.rankingModel;
+    elements.resultsBracketBtn.classList.toggle('hidden', state.rankingMode !== 'bracket');
+    
+    // The odds are rating probabilities, which say nothing about a sort's or a bracket's
+    // order, so those modes only get the top N
+    const ratingMode = state.rankingMode === 'rating';
+    elements.resultsOddsBtn.classList.toggle('hidden', !ratingMode);
+    elements.runBorderlineBtn.classList.toggle('hidden', !ratingMode);
+    
+    // Both views are built so the borderline button knows whether there is anything to run
+    resultsTopNProbabilities = getTopNProbabilities();
+    elements.runBorderlineBtn.disabled = getBorderlinePhotos().length === 0;
+    updateConsistencyButton();
+    renderResultsOdds();
+    setResultsView(ratingMode ? state.resultsView : 'top');
+    
+    const scale = getRatingScale(topPhotos);
     elements.resultsGrid.innerHTML = topPhotos.map((photo, index) => `
         <div class="result-photo" data-id="${photo.id}">
             <span class="photo-rank">#${index + 1}</span>
-            <span class="photo-rating">⭐ ${Math.round(photo.elo)}</span>
+            <span class="photo-rating">⭐ ${formatRating(photo)}</span>
             <img src="${state.thumbnailCache.get(photo.id) || ''}" alt="${photo.name}">
+            ${getErrorBarHtml(photo, scale)}
             <span class="photo-name">${photo.name}</span>
         </div>
     `).join('');
@@ -2083,7 +6759,7 @@ function copyFilenames() {
 
 function downloadList() {
     const content = state.finalSelection.map((p, i) => 
-        `${i + 1}. ${p.path || p.name} (Rating: ${Math.round(p.elo)})`
+        `${i + 1}. ${p.path || p.name} (${RANKING_MODEL_LABELS[state.rankingModel]} rating: ${formatRating(p)})`
     ).join('\n');
     
     const blob = new Blob([content], { type: 'text/plain' });
@@ -2100,20 +6776,30 @@ function downloadList() {
 
 function startOver() {
     // Clean up blob URLs to free memory
+    cancelAllThumbnails();
     state.thumbnailCache.forEach(url => URL.revokeObjectURL(url));
-    state.fullSizeCache.forEach(url => URL.revokeObjectURL(url));
+    clearFullSizeCache();
     
     // Delete session cache
     deleteSessionFromFolder();
     clearFolderHandle();
     
     state.dirHandle = null;
+    state.folderId = null;
     state.allPhotos = [];
     state.candidates = [];
     state.selectedIds.clear();
+    state.seenIds.clear();
+    state.keptDuplicatePaths.clear();
+    state.separatedDuplicatePaths.clear();
+    state.mergedDuplicatePaths.clear();
+    state.resizedCopyGroups = [];
     state.thumbnailCache.clear();
-    state.fullSizeCache.clear();
+    state.rawPreviewCache.clear();
+    state.photoRotations.clear();
     state.clusterFingerprints.clear();
+    state.photoSharpness.clear();
+    state.photoExposure.clear();
     state.clusters = [];
     state.expandedClusters.clear();
     state.currentPhase = 'selection';
@@ -2121,17 +6807,298 @@ function startOver() {
     showScreen('landing-screen');
 }
 
+// ============================================
+// Results - In/Out Probabilities
+// ============================================
+
+// The results list hides how close the cutoff is: #24 and #26 can be a coin flip apart.
+// This view lists every candidate with its probability of belonging in the top N
+// (from getTopNProbabilities()) and highlights the borderline ones, whose in/out call is
+// less certain than the auto-finish threshold.
+
+let resultsTopNProbabilities = new Map(); // Photo ID -> probability, from the last showResults()
+
+// In/out calls less certain than this (0-1) count as borderline
+function getBorderlineCertainty() {
+    return (state.autoFinishCertainty || 95) / 100;
+}
+
+function isBorderline(probability) {
+    return Math.max(probability, 1 - probability) < getBorderlineCertainty();
+}
+
+function getBorderlinePhotos() {
+    return state.candidates.filter(p => isBorderline(resultsTopNProbabilities.get(p.id) ?? 0.5));
+}
+
+function formatProbability(probability) {
+    if (probability > 0.995) return '>99%';
+    if (probability < 0.005) return '<1%';
+    return `${Math.round(probability * 100)}%`;
+}
+
+function setResultsView(view) {
+    state.resultsView = view;
+    elements.resultsTopBtn.classList.toggle('active', view === 'top');
+    elements.resultsOddsBtn.classList.toggle('active', view === 'odds');
+    elements.resultsGrid.classList.toggle('hidden', view !== 'top');
+    elements.resultsOdds.classList.toggle('hidden', view !== 'odds');
+}
+
+// Every candidate in rank order (finishRanking() sorted them), with the cutoff marked
+function renderResultsOdds() {
+    const targetN = Math.min(state.targetCount, state.candidates.length);
+    const borderlineCount = getBorderlinePhotos().length;
+    const certainty = Math.round(getBorderlineCertainty() * 100);
+    
+    const rows = state.candidates.map((photo, index) => {
+        const probability = resultsTopNProbabilities.get(photo.id) ?? 0.5;
+        const classes = ['odds-row', index < targetN ? 'in' : 'out', isBorderline(probability) ? 'borderline' : ''];
+        const row = `
+            <div class="${classes.join(' ')}" data-id="${photo.id}">
+                <span class="odds-rank">#${index + 1}</span>
+                <img class="odds-thumb" src="${state.thumbnailCache.get(photo.id) || ''}" alt="${photo.name}">
+                <span class="odds-name">${photo.name}</span>
+                <span class="odds-rating">${formatRating(photo)}</span>
+                <span class="odds-bar"><span class="odds-bar-fill" style="width: ${probability * 100}%"></span></span>
+                <span class="odds-percent">${formatProbability(probability)}</span>
+            </div>
+        `;
+        return index === targetN - 1 && targetN < state.candidates.length
+            ? row + `<div class="odds-cutoff">Top ${targetN} cutoff</div>`
+            : row;
+    });
+    
+    elements.resultsOdds.innerHTML = `
+        <p class="odds-summary">
+            ${borderlineCount === 0
+                ? `Every photo is at least ${certainty}% certain to be on its side of the cutoff.`
+                : `${borderlineCount} borderline photo${borderlineCount === 1 ? '' : 's'}: less than ${certainty}% certain to be on ${borderlineCount === 1 ? 'its' : 'their'} side of the cutoff.`}
+            ${state.rankingModel === 'elo' ? 'Elo has no uncertainty of its own, so these odds come from the Glicko-2 ratings tracked alongside it.' : ''}
+        </p>
+        ${rows.join('')}
+    `;
+    
+    elements.resultsOdds.querySelectorAll('.odds-row').forEach(el => {
+        el.addEventListener('click', () => openPhotoViewer(el.dataset.id));
+    });
+    
+    // Thumbnails for photos that never made the top N may not be loaded yet
+    for (const photo of state.candidates) {
+        if (state.thumbnailCache.has(photo.id)) continue;
+        getThumbnail(photo, THUMB_PRIORITY_ADJACENT).then(url => {
+            const img = elements.resultsOdds.querySelector(`[data-id="${photo.id}"] img`);
+            if (img && url) img.src = url;
+        });
+    }
+}
+
+// Back to the ranking screen for a few comparisons among the borderline photos only
+function runBorderlineComparisons() {
+    const borderline = getBorderlinePhotos();
+    if (borderline.length === 0) {
+        alert(`There are no borderline photos: every photo is at least ${Math.round(getBorderlineCertainty() * 100)}% certain to be in or out.`);
+        return;
+    }
+    
+    // The last photo in and the first one out always take part, so a lone borderline photo has an opponent
+    const targetN = Math.min(state.targetCount, state.candidates.length);
+    const ids = new Set(borderline.map(p => p.id));
+    for (const photo of state.candidates.slice(Math.max(0, targetN - 1), targetN + 1)) {
+        ids.add(photo.id);
+    }
+    
+    // start is the index of the run's first match in the history, so edits know what it answered
+    state.borderlineRun = { ids, remaining: BORDERLINE_RUN_LENGTH, start: groupHistoryIntoMatches(state.comparisonHistory).length };
+    state.redoStack = []; // A redo would count towards the run without being asked in it
+    continueRanking();
+}
+
+// ============================================
+// Consistency Checks - Judge Reliability
+// ============================================
+
+// Now and then the scheduler swaps a match for a hidden check: a repeat of an earlier
+// head-to-head, or a transitivity probe (A beat B and B beat C, so ask A vs C). Checks
+// are always head-to-head, whatever the match size, so their answer compares directly.
+// The report scores how often the checks got the expected answer and flags results the
+// model finds very unlikely, which can be asked again.
+
+let consistencyContradictions = []; // Flagged history entries shown in the consistency modal
+
+function getPairKey(idA, idB) {
+    return idA < idB ? `${idA}|${idB}` : `${idB}|${idA}`;
+}
+
+// A hidden check for the next match, or null. Returns { pair, type, expected }.
+function getConsistencyProbe() {
+    if (state.comparisonsCompleted < CONSISTENCY_MIN_MATCHES || Math.random() >= CONSISTENCY_PROBE_RATE) {
+        return null;
+    }
+    
+    const byId = new Map(state.candidates.map(p => [p.id, p]));
+    // Old enough that the user won't remember answering it
+    const decisive = state.comparisonHistory
+        .slice(0, -10)
+        .filter(h => h.winner != null && !h.probe && !h.reasked && byId.has(h.a) && byId.has(h.b));
+    if (decisive.length === 0) return null;
+    
+    if (Math.random() < 0.5) {
+        const probe = findTransitivityProbe(decisive, byId);
+        if (probe) return probe;
+    }
+    
+    const entry = decisive[Math.floor(Math.random() * decisive.length)];
+    return { pair: shuffleArray([byId.get(entry.a), byId.get(entry.b)]), type: 'repeat', expected: entry.winner };
+}
+
+// A beat B and B beat C, but A and C have never met: ask A vs C, expecting A
+function findTransitivityProbe(decisive, byId) {
+    const beaten = new Map(); // Winner ID -> IDs it beat
+    const compared = new Set(state.comparisonHistory.map(h => getPairKey(h.a, h.b)));
+    for (const entry of decisive) {
+        const loser = entry.winner === entry.a ? entry.b : entry.a;
+        if (!beaten.has(entry.winner)) beaten.set(entry.winner, new Set());
+        beaten.get(entry.winner).add(loser);
+    }
+    
+    for (const a of shuffleArray([...beaten.keys()])) {
+        for (const b of shuffleArray([...beaten.get(a)])) {
+            for (const c of beaten.get(b) || []) {
+                if (c !== a && !compared.has(getPairKey(a, c))) {
+                    return { pair: shuffleArray([byId.get(a), byId.get(c)]), type: 'transitivity', expected: a };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+// Checks answered with a winner (ties are left out), model contradictions, and the overall score
+function getConsistencyReport() {
+    const checks = {
+        repeat: { agreed: 0, total: 0 },
+        transitivity: { agreed: 0, total: 0 }
+    };
+    for (const entry of state.comparisonHistory) {
+        if (!entry.probe || entry.winner == null) continue;
+        checks[entry.probe].total++;
+        if (entry.winner === entry.expected) checks[entry.probe].agreed++;
+    }
+    
+    const agreed = checks.repeat.agreed + checks.transitivity.agreed;
+    const total = checks.repeat.total + checks.transitivity.total;
+    
+    const byId = new Map(state.candidates.map(p => [p.id, p]));
+    const contradictions = [];
+    for (const entry of state.comparisonHistory) {
+        if (entry.winner == null || entry.reasked) continue;
+        const winner = byId.get(entry.winner);
+        const loser = byId.get(entry.winner === entry.a ? entry.b : entry.a);
+        if (!winner || !loser) continue;
+        
+        const probability = expectedScore(getRating(winner), getRating(loser));
+        if (probability < CONTRADICTION_PROBABILITY) {
+            contradictions.push({ entry, winner, loser, probability });
+        }
+    }
+    contradictions.sort((a, b) => a.probability - b.probability);
+    
+    return {
+        checks,
+        score: total > 0 ? Math.round((agreed / total) * 100) : null,
+        contradictions
+    };
+}
+
+function updateConsistencyButton() {
+    const { score } = getConsistencyReport();
+    elements.consistencyBtn.textContent = score === null ? '🧠 Consistency' : `🧠 Consistency ${score}%`;
+}
+
+function openConsistencyModal() {
+    renderConsistencyReport();
+    elements.consistencyModal.classList.remove('hidden');
+}
+
+function closeConsistencyModal() {
+    elements.consistencyModal.classList.add('hidden');
+}
+
+function renderConsistencyReport() {
+    const { checks, score, contradictions } = getConsistencyReport();
+    consistencyContradictions = contradictions;
+    
+    const describe = ({ agreed, total }, label) => `${agreed} of ${total} ${label}`;
+    elements.consistencySummary.innerHTML = score === null
+        ? 'No consistency checks have been answered yet. They are slipped in now and then after the first 10 comparisons.'
+        : `<strong>${score}%</strong> of hidden checks got the same answer again: ` +
+          `${describe(checks.repeat, 'repeated comparisons')}, ${describe(checks.transitivity, 'transitivity checks')}.`;
+    
+    elements.reaskAllBtn.disabled = contradictions.length === 0;
+    if (contradictions.length === 0) {
+        elements.contradictionsList.innerHTML = `<p class="setting-hint">No results contradict the ${RANKING_MODEL_LABELS[state.rankingModel]} ratings strongly.</p>`;
+        return;
+    }
+    
+    const photoHtml = (photo, label) => `
+        <div class="contradiction-photo" data-id="${photo.id}">
+            <img src="${state.thumbnailCache.get(photo.id) || ''}" alt="${photo.name}">
+            <span>${label} · ${photo.name}</span>
+        </div>
+    `;
+    elements.contradictionsList.innerHTML = contradictions.map(({ winner, loser, probability }, index) => `
+        <div class="contradiction-row">
+            ${photoHtml(winner, 'Picked')}
+            ${photoHtml(loser, 'Over')}
+            <span class="contradiction-odds" title="Chance the current ratings give this result">${formatProbability(probability)} likely</span>
+            <button class="secondary-btn small" data-index="${index}">Re-ask</button>
+        </div>
+    `).join('');
+    
+    elements.contradictionsList.querySelectorAll('.contradiction-photo').forEach(el => {
+        el.addEventListener('click', () => openPhotoViewer(el.dataset.id));
+    });
+    elements.contradictionsList.querySelectorAll('button[data-index]').forEach(btn => {
+        btn.addEventListener('click', () => reaskComparisons([consistencyContradictions[btn.dataset.index].entry]));
+    });
+}
+
+// Back to the ranking screen to answer these comparisons again. The new answers are added
+// to the history and replace the old ones in the ratings.
+function reaskComparisons(entries) {
+    if (entries.length === 0) return;
+    
+    closeConsistencyModal();
+    state.reaskRun = { queue: [...entries], done: [] };
+    state.redoStack = []; // A redo would mark a queued comparison as answered again
+    continueRanking();
+}
+
+function getReaskPair() {
+    const entry = state.reaskRun.queue[0];
+    const photoA = state.candidates.find(p => p.id === entry.a);
+    const photoB = state.candidates.find(p => p.id === entry.b);
+    return photoA && photoB ? shuffleArray([photoA, photoB]) : null;
+}
+
 // ============================================
 // Photo Viewer
 // ============================================
 
+// Photo currently shown in the full-screen viewer (for rotate)
+let viewerPhotoId = null;
+
 async function openPhotoViewer(photoId) {
     const photo = state.allPhotos.find(p => p.id === photoId) || 
                   state.candidates.find(p => p.id === photoId);
     
     if (!photo) return;
     
-    elements.viewerFilename.textContent = photo.name;
+    viewerPhotoId = photo.id;
+    elements.viewerFilename.textContent = getPhotoDisplayName(photo);
+    renderPhotoInfoPanel(elements.viewerInfoPanel, photo);
+    renderHistogramPanel(elements.viewerHistogramPanel, photo);
     elements.photoViewer.classList.remove('hidden');
     
     const url = await getPhotoUrl(photo);
@@ -2141,6 +7108,12 @@ async function openPhotoViewer(photoId) {
 function closePhotoViewer() {
     elements.photoViewer.classList.add('hidden');
     elements.viewerImage.src = '';
+    viewerPhotoId = null;
+    
+    // Pick up any rotation done in the viewer
+    if (state.viewMode === 'grid' && document.getElementById('selection-screen').classList.contains('active')) {
+        refreshVisibleThumbnails();
+    }
 }
 
 // ============================================
@@ -2230,8 +7203,8 @@ function updateImportPreview() {
 }
 
 function matchPhotoByImportData(photo, filenames, numbers) {
-    // First try exact filename match
-    if (filenames.includes(photo.name)) {
+    // First try exact filename match (either half of a RAW+JPEG pair counts)
+    if (filenames.includes(photo.name) || (photo.siblings || []).some(s => filenames.includes(s.name))) {
         return true;
     }
     
@@ -2346,6 +7319,7 @@ function confirmImportForRanking() {
                 state.candidates.push({
                     ...photo,
                     elo: ELO_DEFAULT,
+                    glicko: createGlickoRating(),
                     comparisons: 0
                 });
                 state.selectedIds.add(photo.id);
@@ -2355,9 +7329,13 @@ function confirmImportForRanking() {
     }
     
     closeImportModal();
+    prepareRankingMode(addedCount);
     
     // Update ranking UI
     elements.rankingPool.textContent = `Candidates: ${state.candidates.length}`;
+    if (addedCount > 0 && state.rankingMode !== 'rating' && state.currentSelection.size === 0) {
+        showNextComparison(); // The sort or the new draw may ask something else now
+    }
     
     // Show feedback
     console.log(`📥 Ranking import: matched ${matchCount}, added ${addedCount} new candidates`);
@@ -2378,6 +7356,8 @@ function confirmImportForRanking() {
 function addMoreCandidates() {
     // Go back to selection phase but keep existing candidates
     state.currentPhase = 'selection';
+    state.borderlineRun = null;
+    state.reaskRun = null;
     
     // Make sure all current candidates are marked as selected
     for (const candidate of state.candidates) {
@@ -2392,7 +7372,7 @@ function addMoreCandidates() {
     } else if (state.viewMode === 'cluster') {
         renderClusterView();
     } else {
-        renderSelectionPage();
+        scrollGridToIndex(state.gridFirstIndex);
     }
     
     updateSelectionStats();
@@ -2402,14 +7382,17 @@ function returnToRankingWithNewCandidates() {
     // Called when user proceeds from selection after adding more
     // Find newly selected photos that aren't already candidates
     const existingCandidateIds = new Set(state.candidates.map(c => c.id));
+    let added = 0;
     
     for (const id of state.selectedIds) {
         if (!existingCandidateIds.has(id)) {
             const photo = state.allPhotos.find(p => p.id === id);
             if (photo) {
+                added++;
                 state.candidates.push({
                     ...photo,
                     elo: ELO_DEFAULT,
+                    glicko: createGlickoRating(),
                     comparisons: 0
                 });
             }
@@ -2417,6 +7400,7 @@ function returnToRankingWithNewCandidates() {
     }
     
     state.currentPhase = 'ranking';
+    prepareRankingMode(added);
     
     elements.rankingPool.textContent = `Candidates: ${state.candidates.length}`;
     showScreen('ranking-screen');
@@ -2429,6 +7413,44 @@ function returnToRankingWithNewCandidates() {
 // Export Candidates as Zip
 // ============================================
 
+// Pending resolver for the export format modal
+let resolveExportFormat = null;
+
+// Ask which half of RAW+JPEG pairs to export. Resolves to 'jpeg', 'raw', 'both',
+// or null if cancelled. Skips the question when no photo has a linked sibling.
+function chooseExportFormat(photos) {
+    if (!photos.some(p => p.siblings?.length > 0)) {
+        return Promise.resolve('both');
+    }
+    
+    elements.exportFormatModal.classList.remove('hidden');
+    return new Promise(resolve => {
+        resolveExportFormat = resolve;
+    });
+}
+
+function closeExportFormatModal(format = null) {
+    elements.exportFormatModal.classList.add('hidden');
+    if (resolveExportFormat) {
+        resolveExportFormat(format);
+        resolveExportFormat = null;
+    }
+}
+
+// Files to put in the zip for one photo. If the requested kind doesn't exist for
+// this photo (e.g. "RAW only" on a JPEG-only shot), fall back to what's there.
+function getExportFiles(photo, format) {
+    const files = [
+        { name: photo.name, handle: photo.handle },
+        ...(photo.siblings || []).map(s => ({ name: s.name, handle: s.handle }))
+    ];
+    
+    if (format === 'both') return files;
+    
+    const wanted = files.filter(f => format === 'raw' ? isRawFile(f.name) : !isRawFile(f.name));
+    return wanted.length > 0 ? wanted : files;
+}
+
 async function exportCandidatesAsZip() {
     if (state.candidates.length === 0) {
         alert('No candidates to export.');
@@ -2447,13 +7469,20 @@ async function exportCandidatesAsZip() {
     btn.textContent = '⏳ Preparing...';
     
     try {
+        const format = await chooseExportFormat(state.candidates);
+        if (!format) {
+            btn.textContent = originalText;
+            btn.disabled = false;
+            return;
+        }
+        
         const zip = new JSZip();
         const candidates = state.candidates;
         
-        // Create filenames list (sorted by Elo rating)
-        const sortedCandidates = [...candidates].sort((a, b) => b.elo - a.elo);
+        // Create filenames list (sorted by rating)
+        const sortedCandidates = getRankedCandidates();
         const filenamesList = sortedCandidates.map((photo, index) => 
-            `${index + 1}. ${photo.name} (Rating: ${Math.round(photo.elo)}, Comparisons: ${photo.comparisons || 0})`
+            `${index + 1}. ${photo.name} (Rating: ${formatRating(photo)}, Comparisons: ${photo.comparisons || 0})`
         ).join('\n');
         
         // Add the text file with filenames
@@ -2462,7 +7491,7 @@ Generated: ${new Date().toLocaleString()}
 Total Candidates: ${candidates.length}
 Target Selection: ${state.targetCount}
 
-Ranked by Elo Rating:
+Ranked by ${RANKING_MODEL_LABELS[state.rankingModel]} Rating:
 ${'='.repeat(50)}
 
 `;
@@ -2475,11 +7504,13 @@ ${'='.repeat(50)}
             btn.textContent = `📦 ${i + 1}/${candidates.length}`;
             
             try {
-                const file = await photo.handle.getFile();
-                const arrayBuffer = await file.arrayBuffer();
-                
-                // Preserve original filename
-                zip.file(photo.name, arrayBuffer);
+                for (const { name, handle } of getExportFiles(photo, format)) {
+                    const file = await handle.getFile();
+                    const arrayBuffer = await file.arrayBuffer();
+                    
+                    // Preserve original filename
+                    zip.file(name, arrayBuffer);
+                }
             } catch (err) {
                 console.warn(`Failed to add ${photo.name} to zip:`, err);
             }
@@ -2549,15 +7580,22 @@ async function exportAshotsAsZip() {
     btn.textContent = '⏳ Preparing...';
     
     try {
-        const zip = new JSZip();
-        
-        // Get top N by Elo rating (the A-shots)
-        const sortedCandidates = [...state.candidates].sort((a, b) => b.elo - a.elo);
+        // Get top N by rating (the A-shots)
+        const sortedCandidates = getRankedCandidates();
         const ashots = sortedCandidates.slice(0, state.targetCount);
         
+        const format = await chooseExportFormat(ashots);
+        if (!format) {
+            btn.textContent = originalText;
+            btn.disabled = false;
+            return;
+        }
+        
+        const zip = new JSZip();
+        
         // Create filenames list
         const filenamesList = ashots.map((photo, index) => 
-            `${index + 1}. ${photo.name} (Rating: ${Math.round(photo.elo)}, Comparisons: ${photo.comparisons || 0})`
+            `${index + 1}. ${photo.name} (Rating: ${formatRating(photo)}, Comparisons: ${photo.comparisons || 0})`
         ).join('\n');
         
         // Add the text file with filenames
@@ -2567,7 +7605,7 @@ Total A-Shots: ${ashots.length}
 Total Candidates: ${state.candidates.length}
 Comparisons Done: ${state.comparisonsCompleted}
 
-Top ${ashots.length} Photos by Elo Rating:
+Top ${ashots.length} Photos by ${RANKING_MODEL_LABELS[state.rankingModel]} Rating:
 ${'='.repeat(50)}
 
 `;
@@ -2580,11 +7618,13 @@ ${'='.repeat(50)}
             btn.textContent = `📦 ${i + 1}/${ashots.length}`;
             
             try {
-                const file = await photo.handle.getFile();
-                const arrayBuffer = await file.arrayBuffer();
-                
-                // Preserve original filename
-                zip.file(photo.name, arrayBuffer);
+                for (const { name, handle } of getExportFiles(photo, format)) {
+                    const file = await handle.getFile();
+                    const arrayBuffer = await file.arrayBuffer();
+                    
+                    // Preserve original filename
+                    zip.file(name, arrayBuffer);
+                }
             } catch (err) {
                 console.warn(`Failed to add ${photo.name} to zip:`, err);
             }
@@ -2640,19 +7680,21 @@ ${'='.repeat(50)}
 // ============================================
 
 async function openTopRankedPreview() {
-    // Sort candidates by Elo rating
-    const sorted = [...state.candidates].sort((a, b) => b.elo - a.elo);
+    // Sort candidates by rating
+    const sorted = getRankedCandidates();
     const topN = sorted.slice(0, state.targetCount);
     
     // Preload thumbnails
     await preloadThumbnails(topN);
     
     // Render the grid
+    const scale = getRatingScale(topN);
     elements.topRankedGrid.innerHTML = topN.map((photo, index) => `
         <div class="top-ranked-photo" data-id="${photo.id}" title="${photo.name}">
             <img src="${state.thumbnailCache.get(photo.id) || ''}" alt="${photo.name}">
             <span class="rank-badge">#${index + 1}</span>
-            <span class="elo-badge">${Math.round(photo.elo)}</span>
+            ${getErrorBarHtml(photo, scale)}
+            <span class="elo-badge">${formatRating(photo)}</span>
         </div>
     `).join('');
     
@@ -2674,15 +7716,33 @@ function closeTopRankedPreview() {
 // Keyboard Shortcuts
 // ============================================
 
+// Header dropdowns give the focus back once changed, so the next key picks a photo
+// instead of changing the dropdown again
+document.querySelectorAll('.model-select').forEach(select => {
+    select.addEventListener('change', () => select.blur());
+});
+
 document.addEventListener('keydown', (e) => {
+    // Don't hijack keys while typing in a text field (import box, clock offsets) or
+    // choosing in a dropdown, where 2/4/6 also jump between options
+    const isTyping = e.target.matches?.('input, textarea, select');
+    
+    // ` toggles the cache debug panel anywhere
+    if (!isTyping && e.key === '`') {
+        toggleDebugPanel();
+    }
+    
+    // Best-of-burst duel takes over the keyboard while open
+    if (!elements.burstDuelModal.classList.contains('hidden')) {
+        handleBurstDuelKey(e);
+        return;
+    }
+    
     // Ranking screen shortcuts
-    if (document.getElementById('ranking-screen').classList.contains('active')) {
-        // Number keys 1-2 to select
-        if (e.key === '1' && state.currentPair?.[0]) {
-            toggleRankingSelection(state.currentPair[0].id);
-        }
-        if (e.key === '2' && state.currentPair?.[1]) {
-            toggleRankingSelection(state.currentPair[1].id);
+    if (!isTyping && document.getElementById('ranking-screen').classList.contains('active')) {
+        // Number keys 1-6 to select
+        if (/^[1-6]$/.test(e.key) && state.currentPair?.[e.key - 1]) {
+            toggleRankingSelection(state.currentPair[e.key - 1].id);
         }
         
         // Enter to confirm
@@ -2695,22 +7755,32 @@ document.addEventListener('keydown', (e) => {
             skipComparison();
         }
         
-        // Z to undo
+        // Z to undo, Shift+Z (or Y) to redo
         if ((e.key === 'z' || e.key === 'Z') && (e.metaKey || e.ctrlKey)) {
             e.preventDefault();
-            undoComparison();
+            if (e.shiftKey) {
+                redoComparison();
+            } else {
+                undoComparison();
+            }
+        }
+        if ((e.key === 'y' || e.key === 'Y') && (e.metaKey || e.ctrlKey)) {
+            e.preventDefault();
+            redoComparison();
         }
     }
     
     // Selection screen shortcuts
-    if (document.getElementById('selection-screen').classList.contains('active')) {
+    if (!isTyping && document.getElementById('selection-screen').classList.contains('active')) {
         if (state.viewMode === 'grid') {
-            // Arrow keys for pagination in grid mode
+            // Arrow keys scroll a screenful in grid mode
             if (e.key === 'ArrowLeft') {
-                selectionPrevPage();
+                e.preventDefault();
+                scrollGridByScreen(-1);
             }
             if (e.key === 'ArrowRight') {
-                selectionNextPage();
+                e.preventDefault();
+                scrollGridByScreen(1);
             }
         } else {
             // Swipe mode keyboard controls
@@ -2726,6 +7796,18 @@ document.addEventListener('keydown', (e) => {
                 e.preventDefault();
                 swipeToggleSelect();
             }
+            if ((e.key === 'i' || e.key === 'I') && state.viewMode === 'swipe' &&
+                elements.photoViewer.classList.contains('hidden')) {
+                togglePhotoInfo();
+            }
+            if ((e.key === 'h' || e.key === 'H') && state.viewMode === 'swipe' &&
+                elements.photoViewer.classList.contains('hidden')) {
+                togglePhotoHistogram();
+            }
+            if ((e.key === 'r' || e.key === 'R') && state.viewMode === 'swipe' &&
+                elements.photoViewer.classList.contains('hidden')) {
+                rotateCurrentPhoto(e.shiftKey ? -90 : 90);
+            }
             if (e.key === 'Enter' && state.selectedIds.size >= state.targetCount) {
                 startRankingPhase();
             }
@@ -2737,6 +7819,15 @@ document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
             closePhotoViewer();
         }
+        if (e.key === 'i' || e.key === 'I') {
+            togglePhotoInfo();
+        }
+        if (e.key === 'h' || e.key === 'H') {
+            togglePhotoHistogram();
+        }
+        if (e.key === 'r' || e.key === 'R') {
+            rotateCurrentPhoto(e.shiftKey ? -90 : 90);
+        }
     }
     
     // Import modal
@@ -2752,6 +7843,55 @@ document.addEventListener('keydown', (e) => {
             closeTopRankedPreview();
         }
     }
+    
+    // Comparison history modal
+    if (!elements.historyModal.classList.contains('hidden')) {
+        if (e.key === 'Escape') {
+            closeHistoryModal();
+        }
+    }
+    
+    // Consistency modal
+    if (!elements.consistencyModal.classList.contains('hidden')) {
+        if (e.key === 'Escape') {
+            closeConsistencyModal();
+        }
+    }
+    
+    // Pairing simulation modal
+    if (!elements.pairingSimModal.classList.contains('hidden')) {
+        if (e.key === 'Escape') {
+            closePairingSimModal();
+        }
+    }
+    
+    // Duplicates modal
+    if (!elements.duplicatesModal.classList.contains('hidden')) {
+        if (e.key === 'Escape') {
+            closeDuplicatesModal();
+        }
+    }
+    
+    // Sharpness modal
+    if (!elements.sharpnessModal.classList.contains('hidden')) {
+        if (e.key === 'Escape') {
+            closeSharpnessModal();
+        }
+    }
+    
+    // Photo order modal
+    if (!elements.photoOrderModal.classList.contains('hidden')) {
+        if (e.key === 'Escape') {
+            closePhotoOrderModal();
+        }
+    }
+    
+    // Export format modal
+    if (!elements.exportFormatModal.classList.contains('hidden')) {
+        if (e.key === 'Escape') {
+            closeExportFormatModal();
+        }
+    }
 });
 
 // ============================================
@@ -2769,23 +7909,143 @@ elements.newProjectModal.addEventListener('click', (e) => {
 elements.newProjectSelectFolder.addEventListener('click', selectFolderForNewProject);
 elements.newProjectStart.addEventListener('click', startNewProject);
 
-// Toggle options for shuffle
-document.querySelectorAll('.toggle-option').forEach(btn => {
-    btn.addEventListener('click', () => {
-        document.querySelectorAll('.toggle-option').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
+// Landing - Thumbnail & fingerprint cache
+elements.clearMediaCacheBtn.addEventListener('click', async () => {
+    if (!confirm('Clear cached thumbnails and fingerprints for all folders?\n\nYour selections and rankings are not affected.')) return;
+    await clearMediaCache();
+    renderMediaCacheInfo();
+});
+
+// Toggle option groups (one active option per group)
+document.querySelectorAll('.toggle-options').forEach(group => {
+    group.querySelectorAll('.toggle-option').forEach(btn => {
+        btn.addEventListener('click', () => {
+            group.querySelectorAll('.toggle-option').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+        });
     });
 });
 
 // Selection (Phase 1)
-elements.selectionPrev.addEventListener('click', selectionPrevPage);
-elements.selectionNext.addEventListener('click', selectionNextPage);
+elements.selectionGrid.addEventListener('scroll', handleGridScroll);
+elements.selectionGrid.addEventListener('click', (e) => {
+    const el = e.target.closest('.selection-photo');
+    if (!el) return;
+    if (e.detail === 2) {
+        openPhotoViewer(el.dataset.id);
+    } else {
+        toggleSelection(el.dataset.id);
+    }
+});
+elements.gridZoomSlider.addEventListener('input', (e) => {
+    setGridTileSize(parseInt(e.target.value));
+});
+elements.gridJumpBtn.addEventListener('click', () => jumpToPhoto(elements.gridJumpInput.value));
+elements.exposureFilterChips.querySelectorAll('.filter-chip').forEach(chip => {
+    chip.addEventListener('click', () => setExposureFilter(chip.dataset.filter));
+});
+elements.exifFilterChips.addEventListener('click', (e) => {
+    const chip = e.target.closest('.filter-chip');
+    if (chip) setExifFilter(chip.dataset.field, chip.dataset.value);
+});
+elements.gridJumpInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') jumpToPhoto(elements.gridJumpInput.value);
+});
+// Column count depends on the grid's width (window resize, sidebar)
+new ResizeObserver(() => {
+    if (state.viewMode === 'grid' && !elements.selectionGrid.classList.contains('hidden')) {
+        renderSelectionPage(false);
+    }
+}).observe(elements.selectionGrid);
 elements.viewSelectedBtn.addEventListener('click', showSelectedReview);
 elements.proceedToRanking.addEventListener('click', startRankingPhase);
 elements.gridViewBtn.addEventListener('click', () => setViewMode('grid'));
 elements.swipeViewBtn.addEventListener('click', () => setViewMode('swipe'));
 elements.clusterViewBtn.addEventListener('click', () => setViewMode('cluster'));
 
+// Duplicates modal
+elements.duplicatesBtn.addEventListener('click', openDuplicatesModal);
+elements.duplicatesClose.addEventListener('click', closeDuplicatesModal);
+elements.duplicatesModal.addEventListener('click', (e) => {
+    if (e.target === elements.duplicatesModal) {
+        closeDuplicatesModal();
+    }
+});
+elements.duplicateGroupsList.addEventListener('click', (e) => {
+    const separateBtn = e.target.closest('.duplicate-separate-btn');
+    if (separateBtn) {
+        separateDuplicateGroup(separateBtn.dataset.id);
+        return;
+    }
+    const dismissBtn = e.target.closest('.duplicate-dismiss-btn');
+    if (dismissBtn) {
+        dismissResizedCopies(parseInt(dismissBtn.dataset.group, 10));
+        return;
+    }
+    
+    const copy = e.target.closest('.duplicate-copy');
+    if (copy?.dataset.group !== undefined) {
+        mergeResizedCopies(parseInt(copy.dataset.group, 10), copy.dataset.copyId);
+    } else if (copy && !copy.classList.contains('kept')) {
+        keepDuplicateCopy(copy.dataset.id, copy.dataset.copyId);
+    }
+});
+elements.scanDuplicatesBtn.addEventListener('click', scanAllForDuplicates);
+
+// Sharpness modal
+elements.sharpnessBtn.addEventListener('click', openSharpnessModal);
+elements.sharpnessClose.addEventListener('click', closeSharpnessModal);
+elements.sharpnessModal.addEventListener('click', (e) => {
+    if (e.target === elements.sharpnessModal) {
+        closeSharpnessModal();
+    }
+});
+elements.sharpnessRegionOptions.querySelectorAll('.toggle-option').forEach(btn => {
+    btn.addEventListener('click', () => {
+        state.sharpnessRegion = btn.dataset.value;
+        updateSharpnessSummary();
+        refreshSelectionView();
+    });
+});
+elements.blurThresholdSlider.addEventListener('input', (e) => {
+    state.blurThreshold = parseInt(e.target.value);
+    updateSharpnessSummary();
+});
+elements.blurThresholdSlider.addEventListener('change', refreshSelectionView);
+elements.deselectBlurryBtn.addEventListener('click', deselectBlurryPhotos);
+elements.pickSharpestBtn.addEventListener('click', pickSharpestInClusters);
+
+// Photo order modal
+elements.photoOrderBtn.addEventListener('click', openPhotoOrderModal);
+elements.photoOrderClose.addEventListener('click', closePhotoOrderModal);
+elements.photoOrderApply.addEventListener('click', applyPhotoOrder);
+elements.photoOrderModal.addEventListener('click', (e) => {
+    if (e.target === elements.photoOrderModal) {
+        closePhotoOrderModal();
+    }
+});
+
+// Cluster view grouping mode
+elements.clusterModeSelect.addEventListener('change', (e) => {
+    state.clusterMode = e.target.value;
+    updateClusterControls();
+    regroupClusters();
+});
+elements.burstGapInput.addEventListener('change', (e) => {
+    const seconds = parseFloat(e.target.value);
+    if (!(seconds > 0)) {
+        e.target.value = state.burstGapSeconds;
+        return;
+    }
+    state.burstGapSeconds = seconds;
+    regroupClusters();
+});
+
+// Cluster view fingerprint algorithm
+elements.fingerprintMethodSelect.addEventListener('change', (e) => {
+    setFingerprintMethod(e.target.value);
+});
+
 // Cluster view threshold slider
 elements.clusterThresholdSlider.addEventListener('input', (e) => {
     state.clusterThreshold = parseInt(e.target.value);
@@ -2794,11 +8054,59 @@ elements.clusterThresholdSlider.addEventListener('input', (e) => {
 elements.clusterThresholdSlider.addEventListener('change', () => {
     // Re-cluster when slider is released
     if (state.clusterFingerprints.size > 0) {
-        recluster();
+        regroupClusters();
     }
 });
 
+// Best of burst
+elements.burstDuelClose.addEventListener('click', closeBurstDuel);
+elements.burstDuelUndo.addEventListener('click', undoBurstDuel);
+elements.burstDuelKeepBoth.addEventListener('click', keepBothInBurstDuel);
+elements.burstDuelFinish.addEventListener('click', finishBurstDuel);
+elements.burstDuelSides.forEach((side, index) => {
+    const frame = side.querySelector('.burst-duel-frame');
+    let drag = null;
+    
+    frame.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const rect = frame.getBoundingClientRect();
+        const x = (e.clientX - rect.left) / rect.width;
+        const y = (e.clientY - rect.top) / rect.height;
+        zoomBurstDuel(e.deltaY < 0 ? 1.25 : 0.8, x, y);
+    }, { passive: false });
+    
+    frame.addEventListener('mousedown', (e) => {
+        drag = { x: e.clientX, y: e.clientY, moved: false };
+    });
+    frame.addEventListener('mousemove', (e) => {
+        if (!drag || !(e.buttons & 1)) return;
+        const rect = frame.getBoundingClientRect();
+        const dx = e.clientX - drag.x;
+        const dy = e.clientY - drag.y;
+        if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+        panBurstDuel(dx, dy, rect.width, rect.height);
+        drag.x = e.clientX;
+        drag.y = e.clientY;
+    });
+    
+    // A click (not the end of a pan) picks this side, unless it turns out to be a double-click
+    let pickTimeout = null;
+    frame.addEventListener('click', (e) => {
+        const wasDrag = drag?.moved;
+        drag = null;
+        if (wasDrag || e.detail > 1) return;
+        pickTimeout = setTimeout(() => pickBurstDuelSide(index), BURST_DUEL_CLICK_DELAY);
+    });
+    frame.addEventListener('dblclick', () => {
+        clearTimeout(pickTimeout);
+        zoomBurstDuel(0);
+    });
+});
+
 // Swipe view
+elements.swipeInfoBtn.addEventListener('click', togglePhotoInfo);
+elements.swipeHistogramBtn.addEventListener('click', togglePhotoHistogram);
+elements.swipeRotateBtn.addEventListener('click', () => rotateCurrentPhoto(90));
 elements.swipePrev.addEventListener('click', swipePrev);
 elements.swipeNext.addEventListener('click', swipeNext);
 elements.swipeSelectBtn.addEventListener('click', swipeToggleSelect);
@@ -2813,20 +8121,56 @@ elements.startRanking.addEventListener('click', startRankingPhase);
 // Ranking (Phase 2)
 elements.skipComparison.addEventListener('click', skipComparison);
 elements.undoComparison.addEventListener('click', undoComparison);
+elements.redoComparison.addEventListener('click', redoComparison);
+elements.historyBtn.addEventListener('click', openHistoryModal);
+elements.resultsHistoryBtn.addEventListener('click', openHistoryModal);
 elements.confirmRanking.addEventListener('click', confirmComparison);
 elements.finishRanking.addEventListener('click', finishRanking);
+elements.rankingModeSelect.addEventListener('change', (e) => setRankingMode(e.target.value));
+elements.reviewRankingModeSelect.addEventListener('change', (e) => setRankingMode(e.target.value));
+elements.bracketFormatSelect.addEventListener('change', (e) => setBracketFormat(e.target.value));
+elements.bracketSeedingSelect.addEventListener('change', (e) => setBracketSeeding(e.target.value));
+elements.bracketBtn.addEventListener('click', openBracketScreen);
+elements.resultsBracketBtn.addEventListener('click', openBracketScreen);
+elements.bracketBack.addEventListener('click', closeBracketScreen);
+elements.bracketRedraw.addEventListener('click', redrawBracket);
+elements.bracketPlay.addEventListener('click', playBracket);
+elements.rankingModelSelect.addEventListener('change', (e) => setRankingModel(e.target.value));
+elements.pairingStrategySelect.addEventListener('change', (e) => setPairingStrategy(e.target.value));
+elements.groupSizeSelect.addEventListener('change', (e) => setGroupSize(parseInt(e.target.value, 10)));
+elements.autoFinishSelect.addEventListener('change', (e) => setAutoFinishCertainty(parseInt(e.target.value, 10)));
+elements.pairingSimBtn.addEventListener('click', openPairingSimModal);
+elements.resultsModelSelect.addEventListener('change', (e) => setRankingModel(e.target.value));
 elements.rankingImportBtn.addEventListener('click', openImportModalForRanking);
 elements.addMoreCandidatesBtn.addEventListener('click', addMoreCandidates);
 elements.exportCandidatesBtn.addEventListener('click', exportCandidatesAsZip);
 elements.exportAshotsBtn.addEventListener('click', exportAshotsAsZip);
 
+// Export format modal
+elements.exportFormatOptions.querySelectorAll('.toggle-option').forEach(btn => {
+    btn.addEventListener('click', () => closeExportFormatModal(btn.dataset.value));
+});
+elements.exportFormatClose.addEventListener('click', () => closeExportFormatModal());
+elements.exportFormatModal.addEventListener('click', (e) => {
+    if (e.target === elements.exportFormatModal) {
+        closeExportFormatModal();
+    }
+});
+
 // Results
 elements.copyFilenames.addEventListener('click', copyFilenames);
 elements.downloadList.addEventListener('click', downloadList);
 elements.continueRanking.addEventListener('click', continueRanking);
+elements.runBorderlineBtn.addEventListener('click', runBorderlineComparisons);
+elements.consistencyBtn.addEventListener('click', openConsistencyModal);
+elements.resultsTopBtn.addEventListener('click', () => setResultsView('top'));
+elements.resultsOddsBtn.addEventListener('click', () => setResultsView('odds'));
 
 // Photo viewer
 elements.closeViewer.addEventListener('click', closePhotoViewer);
+elements.viewerInfoBtn.addEventListener('click', togglePhotoInfo);
+elements.viewerHistogramBtn.addEventListener('click', togglePhotoHistogram);
+elements.viewerRotateBtn.addEventListener('click', () => rotateCurrentPhoto(90));
 elements.photoViewer.addEventListener('click', (e) => {
     if (e.target === elements.photoViewer) {
         closePhotoViewer();
@@ -2865,6 +8209,32 @@ elements.importFileInput.addEventListener('change', async (e) => {
     e.target.value = '';
 });
 
+// Comparison history modal
+elements.historyClose.addEventListener('click', closeHistoryModal);
+elements.historyModal.addEventListener('click', (e) => {
+    if (e.target === elements.historyModal) {
+        closeHistoryModal();
+    }
+});
+
+// Consistency modal
+elements.consistencyClose.addEventListener('click', closeConsistencyModal);
+elements.reaskAllBtn.addEventListener('click', () => reaskComparisons(consistencyContradictions.map(c => c.entry)));
+elements.consistencyModal.addEventListener('click', (e) => {
+    if (e.target === elements.consistencyModal) {
+        closeConsistencyModal();
+    }
+});
+
+// Pairing simulation modal
+elements.pairingSimClose.addEventListener('click', closePairingSimModal);
+elements.pairingSimRun.addEventListener('click', runPairingSimulation);
+elements.pairingSimModal.addEventListener('click', (e) => {
+    if (e.target === elements.pairingSimModal) {
+        closePairingSimModal();
+    }
+});
+
 // Top ranked preview modal
 elements.previewTopBtn.addEventListener('click', openTopRankedPreview);
 elements.topRankedClose.addEventListener('click', closeTopRankedPreview);
@@ -3013,6 +8383,7 @@ async function init() {
     
     // Render recent folders on landing page
     await renderRecentFolders();
+    renderMediaCacheInfo();
 }
 
 // Run initialization
@@ -0,0 +1,56 @@
+/**
+ * A-Shot Picker - Thumbnail Worker
+ *
+ * Decodes and resizes images off the main thread using createImageBitmap
+ * and OffscreenCanvas, so scrolling stays smooth on 5000+ photo folders.
+ *
+ * In:  { id, file, maxSize, transform: { rotate, flip }, quality }
+ * Out: { id, blob } on success, { id, error } on failure
+ */
+
+// Same drawing as drawImageOriented() in app.js: flip first, then rotate clockwise
+function drawImageOriented(ctx, bitmap, transform, width, height) {
+    if (transform.rotate === 0 && !transform.flip) {
+        ctx.drawImage(bitmap, 0, 0, width, height);
+        return;
+    }
+    
+    const swap = transform.rotate % 180 !== 0;
+    const drawWidth = swap ? height : width;
+    const drawHeight = swap ? width : height;
+    
+    ctx.save();
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate((transform.rotate * Math.PI) / 180);
+    if (transform.flip) ctx.scale(-1, 1);
+    ctx.drawImage(bitmap, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+    ctx.restore();
+}
+
+self.onmessage = async (event) => {
+    const { id, file, maxSize, transform, quality } = event.data;
+    
+    try {
+        // Like <img>, createImageBitmap applies the file's own EXIF orientation
+        const bitmap = await createImageBitmap(file);
+        
+        // Rotating by 90°/270° swaps the output dimensions
+        const swap = transform.rotate % 180 !== 0;
+        let width = swap ? bitmap.height : bitmap.width;
+        let height = swap ? bitmap.width : bitmap.height;
+        
+        const scale = Math.min(1, maxSize / Math.max(width, height));
+        width = Math.max(1, Math.round(width * scale));
+        height = Math.max(1, Math.round(height * scale));
+        
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        drawImageOriented(ctx, bitmap, transform, width, height);
+        bitmap.close(); // Free the full-size decode right away
+        
+        const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+        self.postMessage({ id, blob });
+    } catch (err) {
+        self.postMessage({ id, error: err.message || 'Failed to create thumbnail' });
+    }
+};